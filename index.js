@@ -22,6 +22,14 @@
  "password": "Password1"
  }
  ```
+ Or create a client of your own:
+ ```javascript
+ var client = require('fogbugz').createClient({
+   host: 'zzz.fogbugz.com',
+   username: 'zzz@yyy.com',
+   password: 'Password1'
+ });
+ ```
  Usage
  =====
  ```javascript
@@ -38,16 +46,29 @@
  * @version 0.2.3
  * @license MIT
  */
+var fs = require('fs');
+var http = require('http');
+var url = require('url');
+var path = require('path');
 var request = require('request');
 var Q = require('q');
 var format = require('util').format;
+var inherits = require('util').inherits;
+var Readable = require('stream').Readable;
+var EventEmitter = require('events').EventEmitter;
 var extend = require('util')._extend;
 var xml2js = require('xml2js');
 var _ = require('lodash-node');
-var cache = require('memory-cache');
+var errors = require('./lib/errors');
+var columns = require('./lib/columns');
+var triggers = require('./lib/triggers');
+var Query = require('./lib/query').Query;
+var tokens = require('./lib/tokens');
+var log = require('./lib/log');
 
-var conf;
 var fogbugz;
+var defaultClient;
+var clientCount = 0;
 
 /**
  * Default protocol
@@ -56,17 +77,40 @@ var fogbugz;
 var PROTOCOL = 'https';
 
 /**
- * URL masks for the various API calls
- * @type {{logon: string, logoff: string, listFilters: string,
- *     setCurrentFilter: string, search: string}}
+ * Path of the API endpoint; every command is POSTed here.
+ * @type {string}
+ */
+var API_PATH = '/api.asp';
+
+/**
+ * Path of the document describing the API: its version, and where the API
+ * endpoint really is.
+ * @type {string}
+ */
+var API_XML_PATH = '/api.xml';
+
+/**
+ * Newest version of the FogBugz API this module speaks.  Servers whose
+ * `minversion` is newer are refused.
+ * @type {number}
+ */
+var API_VERSION = 8;
+
+/**
+ * Version of the API commands first appeared in, for those which weren't in
+ * the first; see Client.supports().
+ * @type {Object.<string, number>}
  */
-var URLs = {
-  edit: '%s://%s/api.asp?cmd=edit&token=%s&ixBug=%s&cols=%s',
-  logon: '%s://%s/api.asp?cmd=logon&email=%s&password=%s',
-  logoff: '%s://%s/api.asp?cmd=logoff&token=%s',
-  listFilters: '%s://%s/api.asp?cmd=listFilters&token=%s',
-  setCurrentFilter: '%s://%s/api.asp?cmd=setCurrentFilter&sFilter=%s&token=%s',
-  search: '%s://%s/api.asp?cmd=search&q=%s&cols=%s&max=%s&token=%s'
+var COMMAND_VERSIONS = {
+  listIntervals: 5,
+  newInterval: 5,
+  startWork: 5,
+  stopWork: 5,
+  listWikis: 5,
+  listArticles: 5,
+  viewArticle: 5,
+  newArticle: 5,
+  editArticle: 5
 };
 
 /**
@@ -77,6 +121,14 @@ var MODULE_ERRORS = {
   undefinedToken: 'token is undefined; you are not logged in',
   xmlParseError: 'invalid xml received from server',
   bugNotFound: 'could not find bug',
+  operationNotPermitted: 'case %s does not permit operation "%s"',
+  unknownLookup: 'cannot look up a "%s"',
+  unknownName: 'no %s is named "%s"',
+  ambiguousName: 'more than one %s is named "%s"',
+  serverTooNew: 'server requires API version %d or newer; this module ' +
+    'speaks up to version %d',
+  commandTooNew: 'command "%s" needs API version %d; server has version %d',
+  unchanged: 'nothing to change',
   unknown: 'unknown error'
 };
 
@@ -100,21 +152,194 @@ var DEFAULT_COLS = [
 var DEFAULT_MAX = 20;
 
 /**
- * Parses XML and returns JSON.
+ * Default number of cases to pull per request in searchAll().
+ * @type {number}
+ */
+var DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Friendly names of case fields, and the parameters they map to.
+ * @type {Object.<string, string>}
+ */
+var CASE_FIELDS = {
+  title: 'sTitle',
+  event: 'sEvent',
+  tags: 'sTags',
+  parent: 'ixBugParent'
+};
+
+/**
+ * Friendly names of case fields which take an ID, the kind of thing the ID
+ * refers to (see LOOKUPS), and the parameter the ID goes to.  Names given
+ * for these fields are resolved to IDs with Client.lookup.
+ * @type {Object.<string, Array.<string>>}
+ */
+var LOOKUP_FIELDS = {
+  project: ['project', 'ixProject'],
+  area: ['area', 'ixArea'],
+  category: ['category', 'ixCategory'],
+  priority: ['priority', 'ixPriority'],
+  assignedTo: ['person', 'ixPersonAssignedTo'],
+  fixFor: ['fixFor', 'ixFixFor'],
+  status: ['status', 'ixStatus']
+};
+
+/**
+ * Things which can be listed and looked up by name: the command listing
+ * them, the element holding the list and each item, the columns holding
+ * the ID and name of each item, and the kind of thing (if any) a list can
+ * be narrowed down to.  Each kind also gets its own pseudoclass, assigned
+ * below as `Class`.
+ * @type {Object.<string, Object>}
+ */
+var LOOKUPS = {
+  project: {
+    cmd: 'listProjects',
+    list: 'projects',
+    element: 'project',
+    id: 'ixProject',
+    name: 'sProject'
+  },
+  area: {
+    cmd: 'listAreas',
+    list: 'areas',
+    element: 'area',
+    id: 'ixArea',
+    name: 'sArea',
+    scope: 'project'
+  },
+  person: {
+    cmd: 'listPeople',
+    list: 'people',
+    element: 'person',
+    id: 'ixPerson',
+    name: 'sFullName',
+    alias: 'email'
+  },
+  fixFor: {
+    cmd: 'listFixFors',
+    list: 'fixfors',
+    element: 'fixfor',
+    id: 'ixFixFor',
+    name: 'sFixFor',
+    scope: 'project'
+  },
+  category: {
+    cmd: 'listCategories',
+    list: 'categories',
+    element: 'category',
+    id: 'ixCategory',
+    name: 'sCategory'
+  },
+  priority: {
+    cmd: 'listPriorities',
+    list: 'priorities',
+    element: 'priority',
+    id: 'ixPriority',
+    name: 'sPriority'
+  },
+  status: {
+    cmd: 'listStatuses',
+    list: 'statuses',
+    element: 'status',
+    id: 'ixStatus',
+    name: 'sStatus',
+    scope: 'category'
+  },
+  wiki: {
+    cmd: 'listWikis',
+    list: 'wikis',
+    element: 'wiki',
+    id: 'ixWiki',
+    name: 'sWiki'
+  }
+};
+
+/**
+ * Columns of a wiki article, and the Article properties they go into.
+ * @type {Object.<string, string>}
+ */
+var ARTICLE_COLUMNS = {
+  ixWikiPage: 'id',
+  ixWiki: 'wikiId',
+  sHeadline: 'headline',
+  sBody: 'body',
+  nRevision: 'revision'
+};
+
+/**
+ * Columns telling whether a case has changed; see CaseWatcher.
+ * @type {Array.<string>}
+ */
+var VERSION_COLS = ['ixBugEventLatest', 'dtLastUpdated'];
+
+/**
+ * Default time (in ms) between polls of a CaseWatcher.
+ * @type {number}
+ */
+var DEFAULT_WATCH_INTERVAL = 60000;
+
+/**
+ * Default maximum number of requests a Client has in flight at once.
+ * @type {number}
+ */
+var DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Default time (in ms) a Client keeps the lists of projects, people, etc.
+ * @type {number}
+ */
+var DEFAULT_LOOKUP_TTL = 5 * 60 * 1000;
+
+/**
+ * Default number of times to retry a command after a transient network
+ * failure.
+ * @type {number}
+ */
+var DEFAULT_RETRIES = 2;
+
+/**
+ * Default delay (in ms) before the first retry; it doubles with each retry.
+ * @type {number}
+ */
+var DEFAULT_RETRY_DELAY = 250;
+
+/**
+ * Commands which only read (or, like logon, do no harm if done twice), so
+ * are safe to retry whenever the network lets us down.
+ * @type {RegExp}
+ */
+var READ_ONLY_REGEXP = /^(logon|logoff|search|list|view)/;
+
+/**
+ * Parses XML and returns JSON.  Rejects `dfrd` with an XmlParseError if the
+ * XML is no good, or with the matching FogBugzError if the server sent an
+ * `<error>`.
  * @param {string} xml XML string
  * @param {Deferred} dfrd The promise that we're parsing values of
+ * @param {string} command API command which was sent
  * @returns {Object} JSON representation of XML
  */
-function _parse(xml, dfrd) {
+function _parse(xml, dfrd, command) {
   var parser = new xml2js.Parser();
   var r;
   parser.parseString(xml, function(err, res) {
-    if (err) {
-      dfrd.reject(MODULE_ERRORS.xmlParseError);
+    var error;
+    if (err || !res || !_.has(res, 'response')) {
+      dfrd.reject(new errors.XmlParseError(MODULE_ERRORS.xmlParseError, {
+        command: command,
+        body: xml,
+        cause: err
+      }));
       return;
     }
     if (res.response.error) {
-      dfrd.reject(res.response.error);
+      error = res.response.error[0];
+      dfrd.reject(errors.fromCode(error.$ && error.$.code,
+        (_.isString(error) ? error : error._ || '').trim(), {
+          command: command,
+          body: xml
+        }));
       return;
     }
     r = res;
@@ -123,420 +348,3584 @@ function _parse(xml, dfrd) {
 }
 
 /**
- * Filter pseudoclass
- * @class Filter
- * @constructor
- * @param {Object} obj Object representing Filter
+ * Returns the size of the result a response holds: the number of items in
+ * a list (e.g. of cases, or projects), `1` for anything else, e.g. a token
+ * or a case, and `0` for nothing, or an error.
+ * @param {string} [xml] Body of the response
+ * @returns {number} Number of items
  */
-function Filter(obj) {
-  extend(this, obj);
+function _resultSize(xml) {
+  var size = 0;
+  new xml2js.Parser().parseString(xml || '', function(err, res) {
+    var result;
+    var children;
+    if (err || !res || !_.isObject(res.response) || res.response.error) {
+      return;
+    }
+    result = _.values(_.omit(res.response, '$'))[0];
+    result = result && result[0];
+    if (!_.isObject(result)) {
+      size = result ? 1 : 0;
+    } else if (result.$ && _.has(result.$, 'count')) {
+      size = parseInt(result.$.count, 10) || 0;
+    } else {
+      // a list holds one kind of element, many times over
+      children = _.values(_.omit(result, '$', '_'));
+      size = children.length === 1 && _.isObject(children[0][0]) ?
+        children[0].length : 1;
+    }
+  });
+  return size;
 }
 
 /**
- * Sets the current filter to be this Filter
- * @method setCurrent
- * @returns {Promise.<boolean>} True if successful
+ * Normalizes the base path FogBugz lives under.
+ * @param {string} [basePath] Base path, e.g. `fogbugz/` or `/fogbugz`
+ * @returns {string} Base path with a leading slash and no trailing one,
+ *     e.g. `/fogbugz`; empty for the root
  */
-Filter.prototype.setCurrent = function() {
-  return fogbugz.setCurrentFilter(this);
-};
+function _basePath(basePath) {
+  var trimmed = String(basePath || '').replace(/^\/+|\/+$/g, '');
+  return trimmed ? '/' + trimmed : '';
+}
 
 /**
- * Case pseudoclass
- * @class Case
- * @constructor
- * @param {Object} obj Object representing Case
+ * Returns the error a response body holds, if it holds one, without parsing
+ * all of it.
+ * @param {string} body Body of the response
+ * @param {string} command API command which was sent
+ * @returns {?FogBugzError} Error, or `null`
  */
-function Case(obj) {
-  extend(this, obj);
+function _errorResponse(body, command) {
+  var match = /<error\b[^>]*\bcode="(\d+)"[^>]*>([\s\S]*?)<\/error>/
+    .exec(body || '');
+  if (!match) {
+    return null;
+  }
+  return errors.fromCode(match[1],
+    match[2].replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim(), {
+      command: command
+    });
 }
 
 /**
- * Basically just asserts an empty response has no errors in it.
- * @param {string} xml XML to parse
- * @param {Q.defer} dfrd Q deferred object
+ * Whether a value is a readable stream.
+ * @param {*} value Value to check
+ * @returns {boolean} True if `value` can be piped
  */
-function _extractEmptyResponse(xml, dfrd) {
-  var parser = new xml2js.Parser();
-  parser.parseString(xml, function(err, res) {
-    if (err) {
-      dfrd.reject();
-      return MODULE_ERRORS.xmlParseError;
-    }
-    if (res.response.error) {
-      dfrd.reject(res.response.error);
-    }
-  });
+function _isStream(value) {
+  return Boolean(value) && typeof value.pipe === 'function';
 }
 
-fogbugz = {
-  MODULE_ERRORS: MODULE_ERRORS,
-
-  /**
-   * Forgets the stored token.
-   * @method forgetToken
-   */
-  forgetToken: function forgetToken() {
-    cache.del('token');
-  },
-
-  /**
-   * Manually sets a login token if you have one by some other means.
-   * @see fogbugz.logon
-   * @method setToken
-   * @param {string} token FogBugz API logon token
-   */
-  setToken: function setToken(token) {
-    cache.put('token', token);
-  },
+/**
+ * Whether a command parameter has to be sent as part of a multipart body.
+ * @param {*} value Parameter value
+ * @returns {boolean} True if `value` is a file
+ */
+function _isFile(value) {
+  return Buffer.isBuffer(value) || _isStream(value) ||
+    _.isPlainObject(value) && _isFile(value.value);
+}
 
-  /**
-   * Assuming you are logged in and have a cached token, this will log you out.
-   * @method logoff
-   * @returns {Function|promise|Q.promise} Promise
-   */
-  logoff: function logoff() {
-    var token = cache.get('token');
-    var dfrd = Q.defer();
-    if (!token) {
-      dfrd.reject(MODULE_ERRORS.undefinedToken);
-    } else {
-      request(format(URLs.logoff, PROTOCOL, conf.host, token),
-        function(err) {
-          if (err) {
-            dfrd.reject(err);
-          } else {
-            dfrd.resolve(true);
-          }
-        });
+/**
+ * Turns something to attach into a multipart field.
+ * @param {(string|Buffer|Stream|Object)} file Path of a file, its contents
+ *     as a Buffer or readable stream, or an object with `content`,
+ *     `filename` and optional `contentType` properties
+ * @param {number} n Number of the attachment, starting at 1
+ * @returns {{value: (Buffer|Stream), options: Object}} Multipart field
+ */
+function _attachment(file, n) {
+  var options = {filename: 'File' + n};
+  if (_.isString(file)) {
+    return {
+      value: fs.createReadStream(file),
+      options: {filename: path.basename(file)}
+    };
+  }
+  if (_isFile(file)) {
+    if (file.path) {
+      options.filename = path.basename(String(file.path));
     }
-    return dfrd.promise;
-  },
+    return {
+      value: file,
+      options: options
+    };
+  }
+  options.filename = file.filename || options.filename;
+  if (file.contentType) {
+    options.contentType = file.contentType;
+  }
+  return {
+    value: file.content,
+    options: options
+  };
+}
 
-  /**
-   * Logs you into FogBugz based on contents of `fogbugz.conf.json`.
-   * @method logon
-   * @returns {Function|promise|Q.promise} Promise
-   */
-  logon: function logon() {
-    var dfrd = Q.defer();
-    var token = cache.get('token');
-
-    function extractToken(xml) {
-      var r = _parse(xml, dfrd);
-      if (r) {
-        return r.response.token[0];
-      }
-    }
+/**
+ * Reads a stream to its end.
+ * @param {Stream} stream Readable stream
+ * @returns {Promise.<Buffer>} Everything read
+ */
+function _readStream(stream) {
+  var dfrd = Q.defer();
+  var chunks = [];
+  stream.on('data', function(chunk) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+  });
+  stream.on('end', function() {
+    dfrd.resolve(Buffer.concat(chunks));
+  });
+  stream.on('error', dfrd.reject);
+  return dfrd.promise;
+}
 
-    if (token) {
-      dfrd.resolve({
-        token: token,
-        cached: true
+/**
+ * Reads an attachment given as a stream, bare or as the `content` of an
+ * object, into a Buffer.  Streams can only be read once, and `request`
+ * can't tell the length of most, so they're never sent as they are.
+ * @param {(string|Buffer|Stream|Object)} file Something to attach; see
+ *     _attachment()
+ * @returns {Promise.<(string|Buffer|Object)>} The same, with no streams
+ */
+function _bufferAttachment(file) {
+  if (_isStream(file)) {
+    return _readStream(file)
+      .then(function(content) {
+        return {
+          filename: file.path ? path.basename(String(file.path)) : null,
+          content: content
+        };
       });
-    }
-
-    request(format(URLs.logon, PROTOCOL, conf.host, conf.username,
-        conf.password),
-      function(err, res, body) {
-        var newToken;
-        if (err) {
-          dfrd.reject(err);
-        } else {
-          newToken = extractToken(body);
-          if (!newToken) {
-            dfrd.reject(MODULE_ERRORS.unknown);
-          } else {
-            cache.put('token', newToken);
-            dfrd.resolve({
-              token: newToken,
-              cached: false
-            });
-          }
-        }
+  }
+  if (file && _isStream(file.content)) {
+    return _readStream(file.content)
+      .then(function(content) {
+        return _.extend({}, file, {content: content});
       });
-    return dfrd.promise;
-  },
-
-  /**
-   * Retrieves a list of Filters as an array.  Each item in the array is of
-   * type Filter.  Example:
-   ```
-   [{"name": "My Cases", "type": "builtin", "id": "ez",
-    "url": "https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=ez"}),
-   {"name": "Inbox", "type": "builtin", "id": "inbox",
-     "url": "https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=inbox"}]
-   ```
-   * @method listFilters
-   * @see class fogbugz.Filter
-   * @returns {Function|promise|Q.promise} Promise
-   */
-  listFilters: function listFilters() {
-    var token = cache.get('token');
-    var dfrd = Q.defer();
-
-    function extractFilters(xml) {
-      var r = _parse(xml, dfrd);
-      if (r) {
-        return r.response.filters[0].filter
-          .map(function(filter) {
-            return new Filter({
-              name: filter._.trim(),
-              type: filter.$.type,
-              id: filter.$.sFilter,
-              url: format('%s://%s/default.asp?pgx=LF&ixFilter=%s',
-                PROTOCOL, conf.host, filter.$.sFilter)
-            });
-          });
-      }
-    }
+  }
+  return Q.resolve(file);
+}
 
-    if (!token) {
-      dfrd.reject(MODULE_ERRORS.undefinedToken);
-    } else {
-      request(format(URLs.listFilters, PROTOCOL, conf.host, token),
-        function(err, res, body) {
-          var filters;
-          if (err) {
-            dfrd.reject(err);
-          } else {
-            filters = extractFilters(body);
-            if (filters && filters.length) {
-              dfrd.resolve(extractFilters(body));
-            } else {
-              dfrd.reject(MODULE_ERRORS.unknown);
-            }
-          }
-        });
-    }
-    return dfrd.promise;
-  },
+/**
+ * Turns the attachments given to `newBug()` into command parameters.
+ * @param {Array} attachments Files to attach
+ * @returns {Object} Command parameters
+ */
+function _attachmentParams(attachments) {
+  var params = {};
+  if (attachments.length) {
+    params.nFileCount = attachments.length;
+    attachments.forEach(function(file, i) {
+      params['File' + (i + 1)] = _attachment(file, i + 1);
+    });
+  }
+  return params;
+}
 
-  /**
-   * Sets the current Filter. I'm not sure what this does exactly.
-   * @method setCurrentFilter
-   * @param {Filter|string} filter Filter object or string ID
-   * @see class fogbugz.Filter
-   * @returns {Promise.<boolean>} True if success
-   */
-  setCurrentFilter: function setCurrentFilter(filter) {
-    var token = cache.get('token');
-    var dfrd = Q.defer();
-    var id;
-    if (!token) {
-      dfrd.reject(MODULE_ERRORS.undefinedToken);
-    } else {
-      id = typeof filter === 'string' ? filter : filter.id;
-      request(format(URLs.setCurrentFilter, PROTOCOL, conf.host, id,
-        token), function(err, res, body) {
-        if (err) {
-          dfrd.reject(err);
-        } else {
-          _extractEmptyResponse(body, dfrd);
-          dfrd.resolve(true);
-        }
-      });
-    }
-    return dfrd.promise;
-  },
+/**
+ * Formats a date the way FogBugz takes it, e.g. `2015-05-06T22:47:59Z`.
+ * @param {Date} date Date
+ * @returns {string} Date in UTC, to the second
+ */
+function _formatDate(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
 
-  /**
-   * Performs a search against FogBugz's cases
-   * @method search
-   * @param {string} query Query stirng
-   * @param {array} [cols] Fields to pull
-   * @param {number} [max] Number of cases to get at once
-   * @returns {Promise.<(Array.<Case>|Case)>} Case or cases
-   */
-  search: function search(query, cols, max) {
-    var url;
-    var token = cache.get('token');
-    var cases;
-    var fields;
-    var dfrd = Q.defer();
-
-    function extractCases(xml) {
-      var r = _parse(xml, dfrd);
-      if (!r ||
-        !r.response ||
-        !r.response.cases ||
-        !r.response.cases.length ||
-        !r.response.cases[0].case) {
-        return dfrd.reject(MODULE_ERRORS.bugNotFound);
-      }
-      cases = r.response.cases[0].case.map(function(kase) {
-        var bug = new Case({
-          id: kase.$.ixBug,
-          operations: kase.$.operations.split(','),
-          title: kase.sTitle[0].trim(),
-          status: kase.sStatus[0].trim(),
-          url: format('%s://%s/default.asp?%s', PROTOCOL, conf.host,
-            kase.$.ixBug),
-          fixFor: kase.sFixFor[0].trim()
-        });
-        if (kase.sPersonAssignedTo) {
-          bug.assignedTo = kase.sPersonAssignedTo[0].trim();
-          bug.assignedToEmail = kase.sEmailAssignedTo[0].trim();
-        }
-        if (kase.tags && kase.tags[0].tag) {
-          bug.tags = kase.tags[0].tag.join(', ');
-        }
-        // find anything leftover in the case, disregarding the fields we
-        // already
-        _(kase)
-          .keys()
-          .difference(_.keys(bug).concat('sTitle', 'sStatus', '$',
-            'sFixFor', 'sPersonAssignedTo',
-            'sEmailAssignedTo'))
-          .each(function(key) {
-            var value = kase[key];
-            bug[key] = _.isArray(value) && value.length === 1 ?
-              // dereference
-              bug[key] = value[0].trim() :
-              value;
-          });
-        bug._raw = kase;
-        return bug;
-      });
-      if (cases.length > 1) {
-        return cases;
-      }
-      return cases[0];
+/**
+ * Turns command parameters into a request body.  `null` and `undefined`
+ * values are dropped, arrays are joined with commas, Dates are formatted
+ * with _formatDate(), and everything else but files becomes a string.
+ * @param {string} cmd API command
+ * @param {Object} [params] Command parameters
+ * @returns {{multipart: boolean, fields: Object}} Body fields
+ */
+function _body(cmd, params) {
+  var fields = {cmd: cmd};
+  var multipart = false;
+  _.each(params, function(value, key) {
+    if (value === null || _.isUndefined(value)) {
+      return;
     }
-
-    fields = (cols || DEFAULT_COLS).join(',');
-    max = max || DEFAULT_MAX;
-    query = encodeURIComponent(query);
-    if (!token) {
-      dfrd.reject(MODULE_ERRORS.undefinedToken);
+    if (_isFile(value)) {
+      multipart = true;
+    } else if (_.isArray(value)) {
+      value = value.join(',');
+    } else if (_.isDate(value)) {
+      value = _formatDate(value);
     } else {
-      url = format(URLs.search, PROTOCOL, conf.host, query, fields, max,
-        token);
-      request(url, function(err, res, body) {
-        var newCases;
-        if (err) {
-          dfrd.reject(err);
-        } else {
-          newCases = extractCases(body);
-          if (!newCases) {
-            console.error(body);
-            dfrd.reject(MODULE_ERRORS.unknown);
-          } else {
-            dfrd.resolve(newCases);
-          }
-        }
-      });
+      value = String(value);
     }
-    return dfrd.promise;
-  },
+    fields[key] = value;
+  });
+  return {
+    multipart: multipart,
+    fields: fields
+  };
+}
 
-  /**
-   * Edit a bug by ID
-   * @method editBug
-   * @param {number} [id] -- the ixBug of a case that you want edit
-   * @param {Object} [parameters] -- the parameters you want edit
-   * @param {array} [cols] The columns you want returned about this case
-   * @todo change return value; DRY
-   * @returns {Promise.<Array.<Case>>} Cases, though singular
-   */
-  editBug: function editBug(id, parameters, cols) {
-    var token = cache.get('token');
-    var cases;
-    var fields;
-    var url;
-    var dfrd = Q.defer();
-
-    function extractCases(xml) {
-      var r = _parse(xml, dfrd);
-      if (!r || !r.response || !r.response.case || !r.response.case.length) {
-        return dfrd.reject(new Error(MODULE_ERRORS.xmlParseError));
-      }
-      cases = r.response.case.map(function(kase) {
-        var bug = new Case({
-          id: kase.$.ixBug,
-          operations: kase.$.operations.split(','),
-          title: kase.sTitle[0].trim(),
-          status: kase.sStatus[0].trim(),
-          url: format('%s://%s/default.asp?%s', PROTOCOL, conf.host,
-            kase.$.ixBug),
-          fixFor: kase.sFixFor[0].trim()
-        });
-        if (kase.sPersonAssignedTo) {
-          bug.assignedTo = kase.sPersonAssignedTo[0].trim();
-          bug.assignedToEmail = kase.sEmailAssignedTo[0].trim();
-        }
-        if (kase.tags && kase.tags[0].tag) {
-          bug.tags = kase.tags[0].tag.join(', ');
-        }
-        // find anything leftover in the case, disregarding the fields we
-        // already
-        _(kase)
-          .keys()
-          .difference(_.keys(bug).concat('sTitle', 'sStatus', '$',
-            'sFixFor', 'sPersonAssignedTo',
-            'sEmailAssignedTo'))
-          .each(function(key) {
-            var value = kase[key];
-            bug[key] = _.isArray(value) && value.length === 1 ?
-              // dereference
-              bug[key] = value[0].trim() :
-              value;
-          });
-        bug._raw = kase;
-        return bug;
-      });
-      if (cases.length > 1) {
-        return cases;
-      }
-      return cases[0];
+/**
+ * Turns an element holding a child element per column into a plain object.
+ * Values are coerced, and named after `names`, or else like the columns of
+ * a Case; see lib/columns.
+ * @param {Object} node xml2js representation of the element
+ * @param {Object.<string, string>} names Property names of columns
+ * @returns {Object} Object
+ */
+function _columnsOf(node, names) {
+  var obj = {};
+  _.each(node, function(value, column) {
+    if (column !== '$') {
+      obj[names[column] || columns.propertyName(column)] =
+        columns.coerce(column, value);
     }
+  });
+  return obj;
+}
 
-    fields = cols.concat(DEFAULT_COLS).join(',');
-    id = encodeURIComponent(id);
+/**
+ * Returns a query as a string; Query objects are turned into one.
+ * @param {(Query|string|number)} query Query
+ * @returns {(string|number)} Query string, or the query as it was
+ */
+function _queryString(query) {
+  return query instanceof Query ? query.toString() : query;
+}
 
-    if (!token) {
-      dfrd.reject(MODULE_ERRORS.undefinedToken);
-    } else {
-      url = format(URLs.edit, PROTOCOL, conf.host, token, id, fields);
-      // Some work need to do, parameters .....
-      Object.keys(parameters).forEach(function(k) {
-        url += '&' + k + '=' + parameters[k];
-      });
-      request(url, function(err, res, body) {
-        var newCases;
-        if (err) {
-          dfrd.reject(err);
-        } else {
-          newCases = extractCases(body);
-          if (!newCases) {
-            console.error(body);
-            dfrd.reject(MODULE_ERRORS.unknown);
-          } else {
-            dfrd.resolve(newCases);
-          }
-        }
-      });
-    }
-    return dfrd.promise;
-  },
+/**
+ * Splits an array into chunks.
+ * @param {Array} array Array
+ * @param {number} size Maximum length of each chunk
+ * @returns {Array.<Array>} Chunks
+ */
+function _chunk(array, size) {
+  var chunks = [];
+  var i;
+  for (i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+}
 
-  /**
-   * Gets a bug by ID
-   * @param {string|number} id ID of bug
-   * @param {number} [cols] Cols to pull
-   * @returns {Promise.<(Array.<Case>|Case)>} Case or cases
-   */
-  getBug: function getBug(id, cols) {
-    return this.search(id, cols, 1);
+/**
+ * Returns what tells whether a case has changed: the ID of its latest
+ * event, or else when it was last updated.
+ * @param {Case} kase Case with VERSION_COLS
+ * @returns {?number} Version
+ */
+function _caseVersion(kase) {
+  if (kase.latestEventId) {
+    return kase.latestEventId;
   }
-};
+  return kase.lastUpdated ? kase.lastUpdated.getTime() : null;
+}
 
-if (process.env.NODE_FOGBUGZ_CONFIG) {
-  conf = require(process.env.NODE_FOGBUGZ_CONFIG);
-} else {
-  conf = require('./fogbugz.conf.json');
+/**
+ * Remembers which Client an object came from, without making it part of the
+ * object's data.
+ * @param {Object} obj Filter or Case
+ * @param {Client} [client] Client which created `obj`
+ */
+function _bindClient(obj, client) {
+  Object.defineProperty(obj, '_client', {
+    value: client,
+    writable: true
+  });
 }
 
+/**
+ * Filter pseudoclass
+ * @class Filter
+ * @constructor
+ * @param {Object} obj Object representing Filter
+ * @param {Client} [client] Client which retrieved this Filter
+ */
+function Filter(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Case pseudoclass
+ * @class Case
+ * @constructor
+ * @param {Object} obj Object representing Case
+ * @param {Client} [client] Client which retrieved this Case
+ */
+function Case(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * BugEvent pseudoclass; one entry of a Case's history.
+ * @class BugEvent
+ * @constructor
+ * @param {Object} obj Object representing BugEvent
+ * @param {Client} [client] Client which retrieved this BugEvent
+ */
+function BugEvent(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Project pseudoclass; see Client.listProjects.
+ * @class Project
+ * @constructor
+ * @param {Object} obj Object representing Project
+ * @param {Client} [client] Client which retrieved this Project
+ */
+function Project(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Area pseudoclass; see Client.listAreas.
+ * @class Area
+ * @constructor
+ * @param {Object} obj Object representing Area
+ * @param {Client} [client] Client which retrieved this Area
+ */
+function Area(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Person pseudoclass; see Client.listPeople.
+ * @class Person
+ * @constructor
+ * @param {Object} obj Object representing Person
+ * @param {Client} [client] Client which retrieved this Person
+ */
+function Person(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * FixFor (milestone) pseudoclass; see Client.listFixFors.
+ * @class FixFor
+ * @constructor
+ * @param {Object} obj Object representing FixFor
+ * @param {Client} [client] Client which retrieved this FixFor
+ */
+function FixFor(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Category pseudoclass; see Client.listCategories.
+ * @class Category
+ * @constructor
+ * @param {Object} obj Object representing Category
+ * @param {Client} [client] Client which retrieved this Category
+ */
+function Category(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Priority pseudoclass; see Client.listPriorities.
+ * @class Priority
+ * @constructor
+ * @param {Object} obj Object representing Priority
+ * @param {Client} [client] Client which retrieved this Priority
+ */
+function Priority(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Status pseudoclass; see Client.listStatuses.
+ * @class Status
+ * @constructor
+ * @param {Object} obj Object representing Status
+ * @param {Client} [client] Client which retrieved this Status
+ */
+function Status(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Interval pseudoclass; a stretch of time someone worked on a case.  See
+ * Client.listIntervals.
+ * @class Interval
+ * @constructor
+ * @param {Object} obj Object representing Interval
+ * @param {Client} [client] Client which retrieved this Interval
+ */
+function Interval(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Hours worked in this Interval, counting only the part of it between
+ * `start` and `end`.  An Interval still going on counts up to now.
+ * @method hours
+ * @param {Date} [start] Count nothing before this
+ * @param {Date} [end] Count nothing after this
+ * @returns {number} Hours
+ */
+Interval.prototype.hours = function hours(start, end) {
+  var from = this.start.getTime();
+  var to = (this.end || new Date()).getTime();
+  if (start) {
+    from = Math.max(from, start.getTime());
+  }
+  if (end) {
+    to = Math.min(to, end.getTime());
+  }
+  return Math.max(0, to - from) / 3600000;
+};
+
+/**
+ * Wiki pseudoclass; see Client.listWikis.
+ * @class Wiki
+ * @constructor
+ * @param {Object} obj Object representing Wiki
+ * @param {Client} [client] Client which retrieved this Wiki
+ */
+function Wiki(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+/**
+ * Article pseudoclass; a page of a Wiki.  See Client.viewArticle.
+ * @class Article
+ * @constructor
+ * @param {Object} obj Object representing Article
+ * @param {Client} [client] Client which retrieved this Article
+ */
+function Article(obj, client) {
+  extend(this, obj);
+  _bindClient(this, client);
+}
+
+LOOKUPS.project.Class = Project;
+LOOKUPS.area.Class = Area;
+LOOKUPS.person.Class = Person;
+LOOKUPS.fixFor.Class = FixFor;
+LOOKUPS.category.Class = Category;
+LOOKUPS.priority.Class = Priority;
+LOOKUPS.status.Class = Status;
+LOOKUPS.wiki.Class = Wiki;
+
+/**
+ * Readable stream of every Case matching a query; see Client.searchAll.
+ * Finds the IDs of all matching cases first, then pulls the cases
+ * themselves a page at a time, as they are read.
+ * @class CaseStream
+ * @constructor
+ * @param {Client} client Client to search with
+ * @param {string} query Query string
+ * @param {array} [cols] Fields to pull
+ * @param {number} pageSize Number of cases to pull per request
+ */
+function CaseStream(client, query, cols, pageSize) {
+  Readable.call(this, {objectMode: true});
+  this._fogbugz = client;
+  this._query = _queryString(query);
+  this._cols = cols;
+  this._pageSize = pageSize;
+  this._ids = null;
+  this._busy = false;
+}
+inherits(CaseStream, Readable);
+
+/**
+ * Resolves with the IDs of all matching cases, finding them if need be.
+ * @method _findIds
+ * @private
+ * @returns {Promise.<Array.<string>>} IDs of cases not yet pulled
+ */
+CaseStream.prototype._findIds = function _findIds() {
+  var stream = this;
+  var client = this._fogbugz;
+  if (this._ids) {
+    return Q.resolve(this._ids);
+  }
+  return client._findCases(stream._query, ['ixBug'])
+    .then(function(cases) {
+      stream._ids = _.pluck(cases, 'id');
+      return stream._ids;
+    });
+};
+
+/**
+ * Pulls the next page of cases, in the order the IDs came in.
+ * @method _read
+ * @private
+ */
+CaseStream.prototype._read = function _read() {
+  var stream = this;
+  var client = this._fogbugz;
+  if (this._busy) {
+    return;
+  }
+  this._busy = true;
+  this._findIds()
+    .then(function(ids) {
+      var page = ids.splice(0, stream._pageSize);
+      if (!page.length) {
+        stream.push(null);
+        return;
+      }
+      return client._findCases('ixBug:' + page.join(','), stream._cols,
+        page.length)
+        .then(function(cases) {
+          var byId = _.indexBy(cases, 'id');
+          var more = true;
+          stream._busy = false;
+          page.forEach(function(id) {
+            if (byId[id]) {
+              more = stream.push(byId[id]);
+            }
+          });
+          // cases deleted in the meantime leave nothing to push
+          if (more) {
+            stream._read();
+          }
+        });
+    })
+    .catch(function(err) {
+      stream.emit('error', err);
+    })
+    .done();
+};
+
+/**
+ * Reads the whole stream.
+ * @method toArray
+ * @returns {Promise.<Array.<Case>>} Every Case, in order
+ */
+CaseStream.prototype.toArray = function toArray() {
+  var dfrd = Q.defer();
+  var cases = [];
+  this.on('data', function(kase) {
+    cases.push(kase);
+  });
+  this.on('error', dfrd.reject);
+  this.on('end', function() {
+    dfrd.resolve(cases);
+  });
+  return dfrd.promise;
+};
+
+/**
+ * Watches the cases matching a query, and emits an event whenever one is
+ * added, changed or removed; see Client.watch.  Each poll only asks for the
+ * latest event of every case, then fetches just the cases which are new or
+ * have changed.
+ * @class CaseWatcher
+ * @extends EventEmitter
+ * @constructor
+ * @param {Client} client Client to search with
+ * @param {string} query Query string
+ * @param {Object} [options] Options; see Client.watch
+ */
+function CaseWatcher(client, query, options) {
+  EventEmitter.call(this);
+  options = options || {};
+  this._fogbugz = client;
+  this._query = _queryString(query);
+  this._cols = (options.cols || DEFAULT_COLS).concat(VERSION_COLS);
+  this._interval = options.interval || DEFAULT_WATCH_INTERVAL;
+  this._initial = options.initial !== false;
+  this._cursorFile = options.cursorFile || null;
+  this._cases = {};
+  this._timer = null;
+  this._stopped = false;
+  this.cursor = options.cursor && options.cursor.query === this._query ?
+    options.cursor : null;
+}
+inherits(CaseWatcher, EventEmitter);
+
+/**
+ * Reads the cursor from the cursor file, the first time round, if there is
+ * one and no cursor was given.  A file which isn't JSON (say, one left
+ * half-written) holds no cursor.
+ * @method _loadCursor
+ * @private
+ * @returns {Promise} Resolved once done
+ */
+CaseWatcher.prototype._loadCursor = function _loadCursor() {
+  var watcher = this;
+  var file = this._cursorFile;
+  if (!file || this.cursor) {
+    return Q.resolve();
+  }
+  this._cursorFile = null;
+  return Q.nfcall(fs.readFile, file, 'utf8')
+    .then(function(json) {
+      var cursor;
+      try {
+        cursor = JSON.parse(json);
+      } catch (err) {
+        return;
+      }
+      if (_.isPlainObject(cursor) && cursor.query === watcher._query) {
+        watcher.cursor = cursor;
+      }
+    }, function(err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    })
+    .fin(function() {
+      watcher._cursorFile = file;
+    });
+};
+
+/**
+ * Fetches the cases with the given IDs, with every column asked for.
+ * @method _fetch
+ * @private
+ * @param {Array.<string>} ids IDs of cases
+ * @returns {Promise.<Object.<string, Case>>} Cases by ID
+ */
+CaseWatcher.prototype._fetch = function _fetch(ids) {
+  var watcher = this;
+  var client = this._fogbugz;
+  return Q.all(_chunk(ids, DEFAULT_PAGE_SIZE).map(function(chunk) {
+    return client._session(function() {
+      return client._search('ixBug:' + chunk.join(','), watcher._cols,
+        chunk.length);
+    });
+  }))
+    .then(function(results) {
+      return _.indexBy(_.flatten(results), 'id');
+    });
+};
+
+/**
+ * Works out what has changed since the last poll, going by the latest
+ * event of each case, and fetches the cases which are new or changed.
+ * @method _compare
+ * @private
+ * @param {Array.<Case>} found Cases now matching, with VERSION_COLS only
+ * @returns {Promise.<Array.<Object>>} Changes; see Client.watch
+ */
+CaseWatcher.prototype._compare = function _compare(found) {
+  var watcher = this;
+  var previous = this.cursor ? this.cursor.versions : null;
+  var versions = {};
+  var changedIds;
+  var removedIds;
+
+  found.forEach(function(kase) {
+    versions[kase.id] = _caseVersion(kase);
+  });
+  if (!previous && !this._initial) {
+    return Q.resolve({
+      versions: versions,
+      changes: []
+    });
+  }
+  previous = previous || {};
+  changedIds = _.keys(versions).filter(function(id) {
+    return previous[id] !== versions[id];
+  });
+  removedIds = _.keys(previous).filter(function(id) {
+    return !_.has(versions, id);
+  });
+  return (changedIds.length ? this._fetch(changedIds) : Q.resolve({}))
+    .then(function(byId) {
+      var changes = [];
+      changedIds.forEach(function(id) {
+        var after = byId[id];
+        if (!after) {
+          // gone since we looked; the next poll will tell
+          delete versions[id];
+          return;
+        }
+        versions[id] = _caseVersion(after);
+        changes.push({
+          type: _.has(previous, id) ? 'changed' : 'added',
+          id: id,
+          before: watcher._cases[id] || null,
+          after: after
+        });
+        watcher._cases[id] = after;
+      });
+      removedIds.forEach(function(id) {
+        changes.push({
+          type: 'removed',
+          id: id,
+          before: watcher._cases[id] || null,
+          after: null
+        });
+        delete watcher._cases[id];
+      });
+      return {
+        versions: versions,
+        changes: changes
+      };
+    });
+};
+
+/**
+ * Remembers where we are, and writes it to the cursor file, if any.  The
+ * cursor is written to a temporary file, then moved over the cursor file,
+ * so it's never left half-written.
+ * @method _saveCursor
+ * @private
+ * @param {Object.<string, number>} versions Latest event of each case
+ * @returns {Promise} Resolved once done
+ */
+CaseWatcher.prototype._saveCursor = function _saveCursor(versions) {
+  var watcher = this;
+  var file = this._cursorFile;
+  var temp;
+  this.cursor = {
+    query: this._query,
+    versions: versions
+  };
+  if (!file) {
+    this.emit('cursor', this.cursor);
+    return Q.resolve();
+  }
+  temp = format('%s.%d.tmp', file, process.pid);
+  return Q.nfcall(fs.writeFile, temp, JSON.stringify(this.cursor))
+    .then(function() {
+      return Q.nfcall(fs.rename, temp, file);
+    })
+    .fin(function() {
+      // once written, so whoever hears of it may read the file
+      watcher.emit('cursor', watcher.cursor);
+    });
+};
+
+/**
+ * Polls once, emits the changes, then schedules the next poll.  Failures
+ * are emitted as `error` events; polling goes on regardless.
+ * @method _poll
+ * @private
+ */
+CaseWatcher.prototype._poll = function _poll() {
+  var watcher = this;
+  var client = this._fogbugz;
+  this._timer = null;
+  this._loadCursor()
+    .then(function() {
+      return client._session(function() {
+        return client._search(watcher._query, VERSION_COLS);
+      });
+    })
+    .then(function(found) {
+      return watcher._compare(found);
+    })
+    .then(function(result) {
+      result.changes.forEach(function(change) {
+        watcher.emit(change.type, change);
+        watcher.emit('change', change);
+      });
+      return watcher._saveCursor(result.versions);
+    })
+    .catch(function(err) {
+      watcher.emit('error', err);
+    })
+    .fin(function() {
+      watcher._schedule(watcher._interval);
+    })
+    .done();
+};
+
+/**
+ * Polls after `delay` ms, unless stopped.
+ * @method _schedule
+ * @private
+ * @param {number} delay Delay in ms
+ */
+CaseWatcher.prototype._schedule = function _schedule(delay) {
+  var watcher = this;
+  if (!this._stopped) {
+    this._timer = setTimeout(function() {
+      watcher._poll();
+    }, delay);
+  }
+};
+
+/**
+ * Stops watching.  Emits `stop`.
+ * @method stop
+ */
+CaseWatcher.prototype.stop = function stop() {
+  if (this._stopped) {
+    return;
+  }
+  this._stopped = true;
+  clearTimeout(this._timer);
+  this._timer = null;
+  this.emit('stop');
+};
+
+/**
+ * Iterates over the changes a CaseWatcher emits as `change` events.
+ * Iteration ends when the watcher stops; breaking out of it stops the
+ * watcher, and so does an error, which is thrown.
+ * @returns {Object} Async iterator
+ */
+function _iterateChanges() {
+  var watcher = this;
+  var changes = [];
+  var waiting = [];
+  var failure = null;
+
+  function settle() {
+    var next;
+    while (waiting.length &&
+      (changes.length || failure || watcher._stopped)) {
+      next = waiting.shift();
+      if (changes.length) {
+        next.resolve({value: changes.shift(), done: false});
+      } else if (failure) {
+        next.reject(failure);
+      } else {
+        next.resolve({done: true});
+      }
+    }
+  }
+
+  this.on('change', function(change) {
+    changes.push(change);
+    settle();
+  });
+  this.on('error', function(err) {
+    failure = err;
+    watcher.stop();
+    settle();
+  });
+  this.on('stop', settle);
+
+  return {
+    next: function() {
+      var dfrd = Q.defer();
+      waiting.push(dfrd);
+      settle();
+      return dfrd.promise;
+    },
+    return: function() {
+      watcher.stop();
+      return Q.resolve({done: true});
+    }
+  };
+}
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  CaseWatcher.prototype[Symbol.asyncIterator] = _iterateChanges;
+}
+
+/**
+ * Basically just asserts an empty response has no errors in it.
+ * @param {string} xml XML to parse
+ * @param {Q.defer} dfrd Q deferred object
+ * @param {string} command API command which was sent
+ * @returns {boolean} True if there were no errors
+ */
+function _extractEmptyResponse(xml, dfrd, command) {
+  return Boolean(_parse(xml, dfrd, command));
+}
+
+/**
+ * FogBugz client.  Each Client keeps its own configuration and logon token,
+ * so you can talk to several FogBugz hosts, or as several users, at once.
+ * @class Client
+ * @constructor
+ * @param {Object} [options] Client options
+ * @param {string} [options.host] FogBugz host, e.g. `zzz.fogbugz.com`
+ * @param {string} [options.username] Email address to log on with
+ * @param {string} [options.password] Password to log on with
+ * @param {string} [options.protocol=https] Protocol to use
+ * @param {number} [options.port] Port, if not the protocol's default
+ * @param {string} [options.basePath] Path FogBugz lives under, if not the
+ *     root, e.g. `/fogbugz`
+ * @param {string} [options.proxy] URL of an HTTP(S) proxy to go through,
+ *     e.g. `http://proxy.example.com:3128`
+ * @param {number} [options.timeout] Time (in ms) to wait for a response
+ *     before giving up on a request
+ * @param {(string|Buffer|Array)} [options.ca] Certificate(s) of the
+ *     authorities to trust, in PEM format, e.g. an internal CA's
+ * @param {boolean} [options.rejectUnauthorized=true] Whether to refuse
+ *     servers whose certificate can't be verified
+ * @param {Object.<string, string>} [options.headers] Headers to send with
+ *     every request
+ * @param {boolean} [options.discover=true] Whether to discover() the API
+ *     before sending the first command
+ * @param {string} [options.token] FogBugz API logon token, if you have one
+ * @param {number} [options.retries=2] Times to retry a command after a
+ *     transient network failure
+ * @param {number} [options.retryDelay=250] Delay (in ms) before the first
+ *     retry; it doubles with each retry
+ * @param {number} [options.lookupTtl=300000] Time (in ms) to keep lists of
+ *     projects, people, etc.; 0 to fetch them every time
+ * @param {number} [options.concurrency=4] Maximum number of requests in
+ *     flight at once; others wait their turn
+ * @param {Object.<string, number>} [options.cache] Time (in ms) to cache the
+ *     results of read commands for, by command, e.g. `{search: 5000}`.
+ *     `search`, `listFilters`, `listProjects` and the other lookup lists can
+ *     be cached; only lookup lists are by default (see `lookupTtl`).
+ * @param {Object} [options.tokenStore] Where to keep the logon token, so
+ *     later processes can reuse it; see FileTokenStore.  Each Client keeps
+ *     its own in memory by default.
+ * @param {Function} [options.logger] Called with a line describing each
+ *     request, response, retry and failure, secrets redacted.  By default,
+ *     lines go to stderr if the `DEBUG` environment variable names
+ *     `fogbugz`.
+ * @extends EventEmitter
+ */
+function Client(options) {
+  options = options || {};
+  EventEmitter.call(this);
+  this.conf = {
+    host: options.host,
+    username: options.username,
+    password: options.password,
+    protocol: String(options.protocol || PROTOCOL).replace(/:$/, ''),
+    port: options.port || null,
+    basePath: _basePath(options.basePath),
+    proxy: options.proxy || null,
+    timeout: options.timeout > 0 ? options.timeout : null,
+    ca: options.ca || null,
+    rejectUnauthorized: options.rejectUnauthorized !== false,
+    headers: _.extend({}, options.headers),
+    discover: options.discover !== false,
+    retries: _.isNumber(options.retries) ? options.retries : DEFAULT_RETRIES,
+    retryDelay: _.isNumber(options.retryDelay) ? options.retryDelay :
+      DEFAULT_RETRY_DELAY,
+    lookupTtl: _.isNumber(options.lookupTtl) ? options.lookupTtl :
+      DEFAULT_LOOKUP_TTL,
+    concurrency: options.concurrency > 0 ? options.concurrency :
+      DEFAULT_CONCURRENCY,
+    cache: _.extend({}, options.cache),
+    tokenStore: options.tokenStore || new tokens.MemoryTokenStore(),
+    logger: _.isFunction(options.logger) ? options.logger :
+      log.debug('fogbugz')
+  };
+  this._token = options.token || null;
+  this._pendingLogon = null;
+  clientCount += 1;
+  this._cacheId = 'fogbugz:' + clientCount;
+  this._cache = {};
+  this._cacheTags = {};
+  this._filterLock = Q.resolve();
+  this._queue = [];
+  this._inFlight = 0;
+  this._requestCount = 0;
+  this._discovery = null;
+  this._apiUrl = null;
+  this._undiscoverable = false;
+
+  /**
+   * Version of the server's API, once discovered; see discover().
+   * @type {?number}
+   */
+  this.apiVersion = null;
+}
+
+inherits(Client, EventEmitter);
+
+/**
+ * Returns the URL FogBugz lives at, given the protocol, host, port and base
+ * path options.
+ * @method baseUrl
+ * @returns {string} URL, without a trailing slash, e.g.
+ *     `https://zzz.fogbugz.com` or `https://fogbugz.example.com:8443/fogbugz`
+ */
+Client.prototype.baseUrl = function baseUrl() {
+  var conf = this.conf;
+  return format('%s://%s%s%s', conf.protocol, conf.host,
+    conf.port ? ':' + conf.port : '', conf.basePath);
+};
+
+/**
+ * Fetches `api.xml`, which says which version of the API the server speaks,
+ * the oldest it still supports, and where its endpoint is.  Commands are
+ * then sent to that endpoint, and those the server's version lacks are
+ * refused with an UnsupportedVersionError.  The document is fetched once
+ * per Client; if the server's `minversion` is newer than this module
+ * speaks, the promise is rejected with an UnsupportedVersionError.
+ * @method discover
+ * @returns {Promise.<{version: number, minVersion: number, url: string}>}
+ *     The API's version, oldest supported version and endpoint URL
+ */
+Client.prototype.discover = function discover() {
+  var client = this;
+  if (!this._discovery) {
+    this._discovery = this._fetchApiXml()
+      .then(function(api) {
+        if (api.minVersion > API_VERSION) {
+          throw new errors.UnsupportedVersionError(format(
+            MODULE_ERRORS.serverTooNew, api.minVersion, API_VERSION), {
+              command: 'api.xml'
+            });
+        }
+        client.apiVersion = api.version;
+        client._apiUrl = api.url;
+        return api;
+      });
+    this._discovery.catch(function() {
+      // let the next call try again
+      client._discovery = null;
+    });
+  }
+  return this._discovery;
+};
+
+/**
+ * Discovers the API before the first command is sent.  A server without an
+ * `api.xml` (an old one) isn't asked again; commands go to `api.asp`, and
+ * none is refused for its version.
+ * @method _autoDiscover
+ * @private
+ * @returns {Promise} Resolved once commands may be sent
+ */
+Client.prototype._autoDiscover = function _autoDiscover() {
+  var client = this;
+  return this.discover()
+    .catch(function(err) {
+      if (!(err instanceof errors.XmlParseError)) {
+        throw err;
+      }
+      client._undiscoverable = true;
+    });
+};
+
+/**
+ * Fetches and parses `api.xml` once.  The request waits its turn with the
+ * commands, and emits the same events.
+ * @method _fetchApiXml
+ * @private
+ * @returns {Promise.<{version: number, minVersion: number, url: string}>}
+ *     Contents of the document; `url` resolved against baseUrl()
+ */
+Client.prototype._fetchApiXml = function _fetchApiXml() {
+  var baseUrl = this.baseUrl();
+  var dfrd = Q.defer();
+  var options = _.extend(this._transport(), {
+    method: 'GET',
+    url: baseUrl + API_XML_PATH
+  });
+
+  function text(res, name) {
+    var value = res.response[name] && res.response[name][0];
+    return String(_.isString(value) ? value : value && value._ || '').trim();
+  }
+
+  this._request('api.xml', options, {}, function(err, res, body) {
+    var r;
+    var version;
+    if (err) {
+      dfrd.reject(errors.fromTransport(err, 'api.xml'));
+      return;
+    }
+    r = _parse(body, dfrd, 'api.xml');
+    if (!r) {
+      return;
+    }
+    version = parseInt(text(r, 'version'), 10);
+    if (isNaN(version)) {
+      dfrd.reject(new errors.XmlParseError(MODULE_ERRORS.xmlParseError, {
+        command: 'api.xml',
+        body: body
+      }));
+      return;
+    }
+    dfrd.resolve({
+      version: version,
+      minVersion: parseInt(text(r, 'minversion'), 10) || 1,
+      url: url.resolve(baseUrl + '/',
+        text(r, 'url').replace(/\?$/, '') || API_PATH.slice(1))
+    });
+  });
+  return dfrd.promise;
+};
+
+/**
+ * Whether the server's API has a command.  Until discover() says which
+ * version the server speaks, every command is assumed to be there.
+ * @method supports
+ * @param {string} cmd API command, e.g. `listIntervals`
+ * @returns {boolean} True if the command may be sent
+ */
+Client.prototype.supports = function supports(cmd) {
+  var needed = COMMAND_VERSIONS[cmd];
+  return !this.apiVersion || !needed || this.apiVersion >= needed;
+};
+
+/**
+ * Returns the options for `request` which every request is sent with: the
+ * transport options of this Client.
+ * @method _transport
+ * @private
+ * @returns {Object} Options
+ */
+Client.prototype._transport = function _transport() {
+  var conf = this.conf;
+  var options = {
+    headers: _.extend({}, conf.headers),
+    rejectUnauthorized: conf.rejectUnauthorized
+  };
+  if (conf.proxy) {
+    options.proxy = conf.proxy;
+  }
+  if (conf.timeout) {
+    options.timeout = conf.timeout;
+  }
+  if (conf.ca) {
+    options.ca = conf.ca;
+  }
+  return options;
+};
+
+/**
+ * Sends a command to the API endpoint as a POST.  Parameters travel in the
+ * body, form-encoded, or as multipart if any of them is a Buffer or stream;
+ * nothing but the endpoint itself ends up in the URL.  If the Client already
+ * has as many requests in flight as its `concurrency` option allows, the
+ * request waits its turn.
+ * @method _send
+ * @private
+ * @param {string} cmd API command, e.g. `search`
+ * @param {Object} [params] Command parameters, including `token`
+ * @param {Function} callback Called with whatever `request` calls back with
+ */
+Client.prototype._send = function _send(cmd, params, callback) {
+  var client = this;
+  var body;
+  var options;
+  if (this.conf.discover && !this.apiVersion && !this._undiscoverable) {
+    this._autoDiscover()
+      .then(function() {
+        client._send(cmd, params, callback);
+      }, function(err) {
+        // fail as if the command itself hadn't got through, so that the
+        // error names it, and is retried as it would be
+        callback(err instanceof errors.TransportError ? err.cause : err);
+      })
+      .done();
+    return;
+  }
+  if (!this.supports(cmd)) {
+    callback(new errors.UnsupportedVersionError(format(
+      MODULE_ERRORS.commandTooNew, cmd, COMMAND_VERSIONS[cmd],
+      this.apiVersion), {command: cmd}));
+    return;
+  }
+  body = _body(cmd, params);
+  options = _.extend(this._transport(), {
+    method: 'POST',
+    url: this._apiUrl || this.baseUrl() + API_PATH
+  });
+  options[body.multipart ? 'formData' : 'form'] = body.fields;
+  this._request(cmd, options, _.omit(body.fields, 'cmd'), callback);
+};
+
+/**
+ * Sends a request once fewer than `concurrency` are in flight, emitting
+ * `request` as it goes, and `response` or `error` when it comes back.
+ * @method _request
+ * @private
+ * @param {string} cmd API command, or `api.xml`, to describe it by
+ * @param {Object} options Options for `request`
+ * @param {Object} params Parameters to describe it by; they're redacted
+ * @param {Function} callback Called with whatever `request` calls back with
+ */
+Client.prototype._request = function _request(cmd, options, params,
+  callback) {
+  var client = this;
+  var info = {
+    id: ++this._requestCount,
+    command: cmd,
+    url: log.redact(options.url),
+    params: log.redact(params)
+  };
+  this._queue.push(function() {
+    var started = Date.now();
+    client._notify('request', info);
+    request(options, function(err, res, resBody) {
+      client._inFlight--;
+      client._dequeue();
+      client._notifyResponse(_.extend({}, info, {
+        duration: Date.now() - started
+      }), err, res, resBody);
+      callback(err, res, resBody);
+    });
+  });
+  this._dequeue();
+};
+
+/**
+ * Emits a `response` event for a request, or an `error` event if it failed
+ * in transit or the server sent an `<error>`.
+ * @method _notifyResponse
+ * @private
+ * @param {Object} info Description of the request, with its `duration`
+ * @param {?Error} err Error sent by `request`, if any
+ * @param {http.IncomingMessage} [res] Response
+ * @param {string} [body] Body of the response
+ */
+Client.prototype._notifyResponse = function _notifyResponse(info, err, res,
+  body) {
+  var failure;
+  if (err) {
+    this._notify('error', info, errors.fromTransport(err, info.command));
+    return;
+  }
+  info.status = res ? res.statusCode : null;
+  info.size = _resultSize(body);
+  this._notify('response', info);
+  failure = _errorResponse(body, info.command);
+  if (failure) {
+    this._notify('error', info, failure);
+  }
+};
+
+/**
+ * Emits an event, and logs it.  Every event gets `(info)`, or `(info, err)`
+ * if there's an error.  `error` events are only emitted if someone listens
+ * for them, as an EventEmitter throws errors nobody listens for.
+ * @method _notify
+ * @private
+ * @param {string} event `request`, `response`, `retry` or `error`
+ * @param {Object} info Description of the request, with secrets redacted
+ * @param {Error} [err] Error, for `retry` and `error` events
+ */
+Client.prototype._notify = function _notify(event, info, err) {
+  var logger = this.conf.logger;
+  switch (event) {
+  case 'request':
+    logger('#%d %s %s %j', info.id, info.command, info.url, info.params);
+    break;
+  case 'response':
+    logger('#%d %s %s in %dms, %d items', info.id, info.command,
+      info.status, info.duration, info.size);
+    break;
+  case 'retry':
+    logger('%s retry %d in %dms: %s', info.command, info.attempt,
+      info.delay, log.redact(err.message));
+    break;
+  default:
+    logger('#%d %s failed in %dms: %s', info.id, info.command, info.duration,
+      log.redact(err.message));
+    break;
+  }
+  if (!err) {
+    this.emit(event, info);
+  } else if (event !== 'error' || this.listeners('error').length) {
+    this.emit(event, info, err);
+  }
+};
+
+/**
+ * Sends queued requests for as long as fewer than `concurrency` are in
+ * flight.
+ * @method _dequeue
+ * @private
+ */
+Client.prototype._dequeue = function _dequeue() {
+  while (this._inFlight < this.conf.concurrency && this._queue.length) {
+    this._inFlight++;
+    this._queue.shift()();
+  }
+};
+
+/**
+ * Calls `attempt` until it succeeds, it fails with something other than a
+ * transient network failure, or we run out of retries.  Commands which
+ * change something are only retried if the request never got sent.
+ * @method _retry
+ * @private
+ * @param {Function} attempt Function returning a promise
+ * @returns {Promise} Result of the last attempt
+ */
+Client.prototype._retry = function _retry(attempt) {
+  var client = this;
+  var conf = this.conf;
+  var tries = 0;
+
+  function run() {
+    return attempt()
+      .catch(function(err) {
+        var delay;
+        if (tries >= conf.retries ||
+          !errors.isTransient(err, READ_ONLY_REGEXP.test(err.command))) {
+          throw err;
+        }
+        tries++;
+        delay = conf.retryDelay * Math.pow(2, tries - 1);
+        client._notify('retry', {
+          command: err.command,
+          attempt: tries,
+          delay: delay
+        }, err);
+        return Q.delay(delay)
+          .then(run);
+      });
+  }
+
+  return run();
+};
+
+/**
+ * Replaces a token the server has rejected.  If another command already got
+ * a new token, that one is used; if a logon is in flight, it's shared.
+ * @method _relogon
+ * @private
+ * @param {string} staleToken Token which the server rejected
+ * @returns {Promise} Result of logon()
+ */
+Client.prototype._relogon = function _relogon(staleToken) {
+  var client = this;
+  var forgotten = this._token === staleToken ? this.forgetToken() :
+    Q.resolve();
+  return forgotten.then(function() {
+    return client.logon();
+  });
+};
+
+/**
+ * Sends a command with the current token.  If the server says we're not
+ * logged on, logs on again (once) and replays the command.
+ * @method _session
+ * @private
+ * @param {Function} attempt Function sending the command; returns a promise
+ * @returns {Promise} Result of the command
+ */
+Client.prototype._session = function _session(attempt) {
+  var client = this;
+  var relogged = false;
+
+  function run() {
+    var token = client._token;
+    return client._retry(attempt)
+      .catch(function(err) {
+        if (relogged || !client.conf.username ||
+          !(err instanceof errors.NotLoggedOnError) ||
+          err.code !== errors.CODES.notLoggedOn) {
+          throw err;
+        }
+        relogged = true;
+        return client._relogon(token)
+          .then(run);
+      });
+  }
+
+  return run();
+};
+
+/**
+ * Returns the key this Client's token is kept under in its token store.
+ * @method _tokenKey
+ * @private
+ * @returns {string} Key
+ */
+Client.prototype._tokenKey = function _tokenKey() {
+  return tokens.keyOf(this.conf);
+};
+
+/**
+ * Forgets the token, and drops it from the token store.
+ * @method forgetToken
+ * @returns {Promise} Resolved once dropped from the store
+ */
+Client.prototype.forgetToken = function forgetToken() {
+  this._token = null;
+  return Q.resolve(this.conf.tokenStore.delete(this._tokenKey()));
+};
+
+/**
+ * Manually sets a login token if you have one by some other means, and
+ * keeps it in the token store.
+ * @see Client.logon
+ * @method setToken
+ * @param {string} token FogBugz API logon token
+ * @returns {Promise} Resolved once kept in the store
+ */
+Client.prototype.setToken = function setToken(token) {
+  this._token = token;
+  return Q.resolve(this.conf.tokenStore.set(this._tokenKey(), token));
+};
+
+/**
+ * Assuming you are logged in and have a cached token, this will log you out,
+ * and drop the token from the token store.
+ * @method logoff
+ * @returns {Function|promise|Q.promise} Promise
+ */
+Client.prototype.logoff = function logoff() {
+  var client = this;
+  var token = this._token;
+  var dfrd = Q.defer();
+  if (!token) {
+    dfrd.reject(new errors.NotLoggedOnError(MODULE_ERRORS.undefinedToken, {
+      command: 'logoff'
+    }));
+  } else {
+    this._send('logoff', {token: token},
+      function(err) {
+        if (err) {
+          dfrd.reject(errors.fromTransport(err, 'logoff'));
+        } else {
+          dfrd.resolve(client.forgetToken().thenResolve(true));
+        }
+      });
+  }
+  return dfrd.promise;
+};
+
+/**
+ * Logs you into FogBugz based on this Client's configuration.  A token in
+ * the token store is reused, once the server has confirmed it's still good;
+ * a new one is kept there.  If a logon is already in progress, you get its
+ * result instead of a second session.
+ * @method logon
+ * @returns {Function|promise|Q.promise} Promise
+ */
+Client.prototype.logon = function logon() {
+  var client = this;
+  var store = this.conf.tokenStore;
+
+  if (this._token) {
+    return Q.resolve({
+      token: this._token,
+      cached: true
+    });
+  }
+
+  if (!this._pendingLogon) {
+    this._pendingLogon = this._storedToken()
+      .then(function(token) {
+        if (token) {
+          return {
+            token: token,
+            cached: true
+          };
+        }
+        return client._retry(function() {
+          return client._logon();
+        })
+          .then(function(result) {
+            return Q.resolve(store.set(client._tokenKey(), result.token))
+              .thenResolve(result);
+          });
+      })
+      .fin(function() {
+        client._pendingLogon = null;
+      });
+  }
+  return this._pendingLogon;
+};
+
+/**
+ * Gets the token in the token store, if there is one the server still
+ * accepts, and makes it the current token.  One it doesn't accept is
+ * dropped from the store.
+ * @method _storedToken
+ * @private
+ * @returns {Promise.<?string>} Token, or `null`
+ */
+Client.prototype._storedToken = function _storedToken() {
+  var client = this;
+  var store = this.conf.tokenStore;
+  var key = this._tokenKey();
+  return Q.resolve(store.get(key))
+    .then(function(token) {
+      if (!token) {
+        return null;
+      }
+      return client._retry(function() {
+        return client._checkToken(token);
+      })
+        .then(function(valid) {
+          if (!valid) {
+            return Q.resolve(store.delete(key)).thenResolve(null);
+          }
+          client._token = token;
+          return token;
+        });
+    });
+};
+
+/**
+ * Asks the server whether it still accepts a token, by sending
+ * `cmd=viewPerson` with it once.
+ * @method _checkToken
+ * @private
+ * @param {string} token Token
+ * @returns {Promise.<boolean>} Whether the token is good
+ */
+Client.prototype._checkToken = function _checkToken(token) {
+  var dfrd = Q.defer();
+  this._send('viewPerson', {token: token}, function(err, res, body) {
+    if (err) {
+      dfrd.reject(errors.fromTransport(err, 'viewPerson'));
+    } else if (_parse(body, dfrd, 'viewPerson')) {
+      dfrd.resolve(true);
+    }
+  });
+  return dfrd.promise
+    .catch(function(err) {
+      if (err instanceof errors.NotLoggedOnError &&
+        err.code === errors.CODES.notLoggedOn) {
+        return false;
+      }
+      throw err;
+    });
+};
+
+/**
+ * Sends `cmd=logon` once.
+ * @method _logon
+ * @private
+ * @returns {Promise} Promise
+ */
+Client.prototype._logon = function _logon() {
+  var client = this;
+  var conf = this.conf;
+  var dfrd = Q.defer();
+
+  function extractToken(xml) {
+    var r = _parse(xml, dfrd, 'logon');
+    if (r && r.response.token) {
+      return r.response.token[0];
+    }
+  }
+
+  this._send('logon', {
+    email: conf.username,
+    password: conf.password
+  }, function(err, res, body) {
+    var newToken;
+    if (err) {
+      dfrd.reject(errors.fromTransport(err, 'logon'));
+    } else {
+      newToken = extractToken(body);
+      if (!newToken) {
+        dfrd.reject(new errors.FogBugzError(MODULE_ERRORS.unknown, {
+          command: 'logon',
+          body: body
+        }));
+      } else {
+        client._token = newToken;
+        dfrd.resolve({
+          token: newToken,
+          cached: false
+        });
+      }
+    }
+  });
+  return dfrd.promise;
+};
+
+/**
+ * Retrieves a list of Filters as an array.  Each item in the array is of
+ * type Filter.  Example:
+ ```
+ [{"name": "My Cases", "type": "builtin", "id": "ez",
+  "url": "https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=ez"}),
+ {"name": "Inbox", "type": "builtin", "id": "inbox",
+   "url": "https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=inbox"}]
+ ```
+ * @method listFilters
+ * @see class fogbugz.Filter
+ * @returns {Function|promise|Q.promise} Promise
+ */
+Client.prototype.listFilters = function listFilters() {
+  var client = this;
+  return this._cached('listFilters', {}, function() {
+    return client._session(function() {
+      return client._listFilters();
+    });
+  }, function() {
+    return ['filter'];
+  });
+};
+
+/**
+ * Sends `cmd=listFilters` once.
+ * @method _listFilters
+ * @private
+ * @returns {Promise.<Array.<Filter>>} Filters
+ */
+Client.prototype._listFilters = function _listFilters() {
+  var client = this;
+  var token = this._token;
+  var dfrd = Q.defer();
+
+  function extractFilters(xml) {
+    var r = _parse(xml, dfrd, 'listFilters');
+    if (r && r.response.filters && r.response.filters[0].filter) {
+      return r.response.filters[0].filter
+        .map(function(filter) {
+          return new Filter({
+            name: filter._.trim(),
+            type: filter.$.type,
+            id: filter.$.sFilter,
+            current: filter.$.status === 'current',
+            url: format('%s/default.asp?pgx=LF&ixFilter=%s',
+              client.baseUrl(), filter.$.sFilter)
+          }, client);
+        });
+    }
+  }
+
+  if (!token) {
+    dfrd.reject(new errors.NotLoggedOnError(MODULE_ERRORS.undefinedToken, {
+      command: 'listFilters'
+    }));
+  } else {
+    this._send('listFilters', {token: token},
+      function(err, res, body) {
+        var filters;
+        if (err) {
+          dfrd.reject(errors.fromTransport(err, 'listFilters'));
+        } else {
+          filters = extractFilters(body);
+          if (filters && filters.length) {
+            dfrd.resolve(filters);
+          } else {
+            dfrd.reject(new errors.FogBugzError(MODULE_ERRORS.unknown, {
+              command: 'listFilters',
+              body: body
+            }));
+          }
+        }
+      });
+  }
+  return dfrd.promise;
+};
+
+/**
+ * Sets the current Filter. Allows to call `search()` with an empty string as
+ * the 'query' parameter to list all cases in the current filter.
+ * @method setCurrentFilter
+ * @param {Filter|string} filter Filter object or string ID
+ * @see class fogbugz.Filter
+ * @returns {Promise.<boolean>} True if success
+ */
+Client.prototype.setCurrentFilter = function setCurrentFilter(filter) {
+  var client = this;
+  return this._session(function() {
+    return client._setCurrentFilter(filter);
+  })
+    .then(function(result) {
+      client._invalidate('filter');
+      return result;
+    });
+};
+
+/**
+ * Sends `cmd=setCurrentFilter` once.
+ * @method _setCurrentFilter
+ * @private
+ * @param {Filter|string} filter Filter object or string ID
+ * @returns {Promise.<boolean>} True if success
+ */
+Client.prototype._setCurrentFilter = function _setCurrentFilter(filter) {
+  var token = this._token;
+  var dfrd = Q.defer();
+  var id;
+  if (!token) {
+    dfrd.reject(new errors.NotLoggedOnError(MODULE_ERRORS.undefinedToken, {
+      command: 'setCurrentFilter'
+    }));
+  } else {
+    id = typeof filter === 'string' ? filter : filter.id;
+    this._send('setCurrentFilter', {
+      sFilter: id,
+      token: token
+    }, function(err, res, body) {
+      if (err) {
+        dfrd.reject(errors.fromTransport(err, 'setCurrentFilter'));
+      } else if (_extractEmptyResponse(body, dfrd, 'setCurrentFilter')) {
+        dfrd.resolve(true);
+      }
+    });
+  }
+  return dfrd.promise;
+};
+
+/**
+ * Turns an item of a list sent by `cmd=listProjects` and friends into an
+ * object of the matching pseudoclass, with `id` and `name` properties.
+ * Other columns are coerced and named like those of a Case.
+ * @method _toLookupItem
+ * @private
+ * @param {string} type Kind of item; a key of LOOKUPS
+ * @param {Object} node xml2js representation of the item's element
+ * @returns {Object} Project, Area, Person, etc.
+ */
+Client.prototype._toLookupItem = function _toLookupItem(type, node) {
+  var spec = LOOKUPS[type];
+  var names = {};
+  names[spec.id] = 'id';
+  names[spec.name] = 'name';
+  return new spec.Class(_columnsOf(node, names), this);
+};
+
+/**
+ * Sends a command once with the current token, and resolves with whatever
+ * `extract` makes of the `<response>` element.  If that's `undefined`, the
+ * response wasn't what we expected, and the promise is rejected.
+ * @method _command
+ * @private
+ * @param {string} cmd API command
+ * @param {Object} params Command parameters, besides the token
+ * @param {Function} extract Called with the xml2js representation of the
+ *     `<response>` element
+ * @returns {Promise} Whatever `extract` returned
+ */
+Client.prototype._command = function _command(cmd, params, extract) {
+  var token = this._token;
+  var dfrd = Q.defer();
+  if (!token) {
+    dfrd.reject(new errors.NotLoggedOnError(MODULE_ERRORS.undefinedToken, {
+      command: cmd
+    }));
+  } else {
+    this._send(cmd, _.extend({token: token}, params),
+      function(err, res, body) {
+        var r;
+        var value;
+        if (err) {
+          dfrd.reject(errors.fromTransport(err, cmd));
+          return;
+        }
+        r = _parse(body, dfrd, cmd);
+        if (!r) {
+          return;
+        }
+        value = extract(r.response);
+        if (_.isUndefined(value)) {
+          dfrd.reject(new errors.FogBugzError(MODULE_ERRORS.unknown, {
+            command: cmd,
+            body: body
+          }));
+        } else {
+          dfrd.resolve(value);
+        }
+      });
+  }
+  return dfrd.promise;
+};
+
+/**
+ * Sends `cmd=listProjects` or a friend of it once.
+ * @method _listOnce
+ * @private
+ * @param {string} type Kind of item; a key of LOOKUPS
+ * @param {Object} params Command parameters, besides the token
+ * @returns {Promise.<Array>} Items
+ */
+Client.prototype._listOnce = function _listOnce(type, params) {
+  var client = this;
+  var spec = LOOKUPS[type];
+  return this._command(spec.cmd, params, function(response) {
+    if (response[spec.list]) {
+      return (response[spec.list][0][spec.element] || [])
+        .map(function(node) {
+          return client._toLookupItem(type, node);
+        });
+    }
+  });
+};
+
+/**
+ * Time (in ms) to cache the results of a command for; see the `cache` and
+ * `lookupTtl` options.
+ * @method _ttl
+ * @private
+ * @param {string} cmd API command
+ * @returns {number} Time to live; 0 if the results aren't to be cached
+ */
+Client.prototype._ttl = function _ttl(cmd) {
+  var conf = this.conf;
+  if (_.has(conf.cache, cmd)) {
+    return conf.cache[cmd];
+  }
+  return _.some(LOOKUPS, {cmd: cmd}) ? conf.lookupTtl : 0;
+};
+
+/**
+ * Makes the key a command's results are cached under.  Keys start with an
+ * ID of the Client, as the cache is shared by everything in the process.
+ * The token is left out, and the order of parameters and of the items of
+ * lists doesn't matter.
+ * @method _cacheKey
+ * @private
+ * @param {string} cmd API command
+ * @param {Object} params Command parameters
+ * @returns {string} Cache key
+ */
+Client.prototype._cacheKey = function _cacheKey(cmd, params) {
+  return format('%s:%s?%s', this._cacheId, cmd, _.keys(params)
+    .sort()
+    .filter(function(name) {
+      return name !== 'token' && params[name] !== null &&
+        !_.isUndefined(params[name]);
+    })
+    .map(function(name) {
+      var value = params[name];
+      return name + '=' + (_.isArray(value) ? value.slice().sort() : value);
+    })
+    .join('&'));
+};
+
+/**
+ * Returns the cached result of a command, or caches and returns the result
+ * of `fetch()` if there is none or it has expired.  Failures are not
+ * cached.  Each result is tagged with what it depends upon, e.g. `case:42`,
+ * so _invalidate() can drop it when that changes.
+ * @method _cached
+ * @private
+ * @param {string} cmd API command
+ * @param {Object} params Command parameters
+ * @param {Function} fetch Function returning a promise of the result
+ * @param {Function} tagsOf Function returning the tags of a result
+ * @returns {Promise} Cached or fresh result
+ */
+Client.prototype._cached = function _cached(cmd, params, fetch, tagsOf) {
+  var client = this;
+  var ttl = this._ttl(cmd);
+  var key;
+  var entry;
+  if (!(ttl > 0)) {
+    return fetch();
+  }
+  key = this._cacheKey(cmd, params);
+  entry = this._cache[key];
+  if (entry && entry.expires > Date.now()) {
+    return entry.promise;
+  }
+
+  // each Client keeps its own results, which go when it does; expiry is
+  // checked here rather than by timers, which would keep the process alive,
+  // and expired results are swept out as others come in
+  this._sweep();
+  entry = {
+    expires: Date.now() + ttl,
+    promise: fetch()
+  };
+  this._cache[key] = entry;
+
+  // untagged until it's in, so any invalidation in the meantime drops it
+  this._cacheTags[key] = null;
+  entry.promise.then(function(result) {
+    if (client._cache[key] === entry) {
+      client._cacheTags[key] = tagsOf(result);
+    }
+  }, function() {
+    if (client._cache[key] === entry) {
+      client._uncache(key);
+    }
+  });
+  return entry.promise;
+};
+
+/**
+ * Drops a cached result.
+ * @method _uncache
+ * @private
+ * @param {string} key Cache key
+ */
+Client.prototype._uncache = function _uncache(key) {
+  delete this._cache[key];
+  delete this._cacheTags[key];
+};
+
+/**
+ * Drops this Client's expired cached results.
+ * @method _sweep
+ * @private
+ */
+Client.prototype._sweep = function _sweep() {
+  var now = Date.now();
+  _.keys(this._cache).forEach(function(key) {
+    if (this._cache[key].expires <= now) {
+      this._uncache(key);
+    }
+  }, this);
+};
+
+/**
+ * Drops the cached results tagged with `tag`, and those still coming in.
+ * @method _invalidate
+ * @private
+ * @param {string} tag Tag, e.g. `case:42`, `filter` or `lookup`
+ */
+Client.prototype._invalidate = function _invalidate(tag) {
+  var client = this;
+  _.each(this._cacheTags, function(tags, key) {
+    if (!tags || _.contains(tags, tag)) {
+      client._uncache(key);
+    }
+  });
+};
+
+/**
+ * Forgets every cached result of this Client.
+ * @method clearCache
+ */
+Client.prototype.clearCache = function clearCache() {
+  _.keys(this._cache).forEach(this._uncache, this);
+};
+
+/**
+ * Forgets the cached lists of projects, people, etc.
+ * @method clearLookups
+ */
+Client.prototype.clearLookups = function clearLookups() {
+  this._invalidate('lookup');
+};
+
+/**
+ * Turns a reference to a project, person, etc. into its ID.
+ * @method _idOf
+ * @private
+ * @param {string} type Kind of thing; a key of LOOKUPS
+ * @param {(Object|string|number)} [value] The thing itself (e.g. a Project),
+ *     its name or its ID; a string of digits is taken as an ID, as IDs
+ *     often come from query strings or the command line
+ * @param {(Object|string|number)} [scope] What to narrow the lookup down
+ *     to; see lookup()
+ * @returns {Promise.<?number>} ID; `null` if there's no `value`
+ */
+Client.prototype._idOf = function _idOf(type, value, scope) {
+  if (value === null || _.isUndefined(value)) {
+    return Q.resolve(null);
+  }
+  if (_.isNumber(value)) {
+    return Q.resolve(value);
+  }
+  if (_.isObject(value)) {
+    return Q.resolve(value.id);
+  }
+  if (/^\d+$/.test(value)) {
+    return Q.resolve(parseInt(value, 10));
+  }
+  return this.lookup(type, value, scope)
+    .then(function(item) {
+      return item.id;
+    });
+};
+
+/**
+ * Lists things of a kind, narrowed down to `scope` if the kind allows it.
+ * Lists are cached; see the `lookupTtl` and `cache` options.
+ * @method _lookupList
+ * @private
+ * @param {string} type Kind of thing; a key of LOOKUPS
+ * @param {(Object|string|number)} [scope] Project or category to narrow
+ *     the list down to, as an object, name or ID
+ * @returns {Promise.<Array>} Items
+ */
+Client.prototype._lookupList = function _lookupList(type, scope) {
+  var client = this;
+  var spec = LOOKUPS[type];
+  return (spec.scope ? this._idOf(spec.scope, scope) : Q.resolve(null))
+    .then(function(scopeId) {
+      var params = {};
+      if (scopeId !== null) {
+        params[LOOKUPS[spec.scope].id] = scopeId;
+      }
+      return client._cached(spec.cmd, params, function() {
+        return client._session(function() {
+          return client._listOnce(type, params);
+        });
+      }, function() {
+        return ['lookup'];
+      });
+    });
+};
+
+/**
+ * Lists the projects.
+ * @method listProjects
+ * @returns {Promise.<Array.<Project>>} Projects
+ */
+Client.prototype.listProjects = function listProjects() {
+  return this._lookupList('project');
+};
+
+/**
+ * Lists the areas, of every project or of a single one.
+ * @method listAreas
+ * @param {(Project|string|number)} [project] Project, or its name or ID
+ * @returns {Promise.<Array.<Area>>} Areas
+ */
+Client.prototype.listAreas = function listAreas(project) {
+  return this._lookupList('area', project);
+};
+
+/**
+ * Lists the people.
+ * @method listPeople
+ * @returns {Promise.<Array.<Person>>} People
+ */
+Client.prototype.listPeople = function listPeople() {
+  return this._lookupList('person');
+};
+
+/**
+ * Lists the milestones, of every project or of a single one (global
+ * milestones included).
+ * @method listFixFors
+ * @param {(Project|string|number)} [project] Project, or its name or ID
+ * @returns {Promise.<Array.<FixFor>>} Milestones
+ */
+Client.prototype.listFixFors = function listFixFors(project) {
+  return this._lookupList('fixFor', project);
+};
+
+/**
+ * Lists the categories.
+ * @method listCategories
+ * @returns {Promise.<Array.<Category>>} Categories
+ */
+Client.prototype.listCategories = function listCategories() {
+  return this._lookupList('category');
+};
+
+/**
+ * Lists the priorities.
+ * @method listPriorities
+ * @returns {Promise.<Array.<Priority>>} Priorities
+ */
+Client.prototype.listPriorities = function listPriorities() {
+  return this._lookupList('priority');
+};
+
+/**
+ * Lists the statuses, of every category or of a single one.
+ * @method listStatuses
+ * @param {(Category|string|number)} [category] Category, or its name or ID
+ * @returns {Promise.<Array.<Status>>} Statuses
+ */
+Client.prototype.listStatuses = function listStatuses(category) {
+  return this._lookupList('status', category);
+};
+
+/**
+ * Finds a project, person, etc. by name; case doesn't matter.  People can
+ * also be found by email address.
+ * @method lookup
+ * @param {string} type `project`, `area`, `person`, `fixFor`, `category`,
+ *     `priority`, `status` or `wiki`
+ * @param {string} name Name to look for
+ * @param {(Object|string|number)} [scope] For areas and milestones, the
+ *     project; for statuses, the category
+ * @returns {Promise.<Object>} Project, Person, etc.; rejected with a
+ *     LookupError if nothing or more than one thing has that name
+ */
+Client.prototype.lookup = function lookup(type, name, scope) {
+  var spec = LOOKUPS[type];
+  var wanted = String(name).toLowerCase();
+
+  function matches(item) {
+    return String(item.name).toLowerCase() === wanted ||
+      Boolean(spec.alias) && String(item[spec.alias]).toLowerCase() === wanted;
+  }
+
+  if (!spec) {
+    return Q.reject(new errors.LookupError(
+      format(MODULE_ERRORS.unknownLookup, type)));
+  }
+  return this._lookupList(type, scope)
+    .then(function(items) {
+      var found = items.filter(matches);
+      if (found.length !== 1) {
+        throw new errors.LookupError(format(found.length ?
+          MODULE_ERRORS.ambiguousName : MODULE_ERRORS.unknownName, type,
+          name), {command: spec.cmd});
+      }
+      return found[0];
+    });
+};
+
+/**
+ * Turns friendly case fields into command parameters.  `project`, `area`,
+ * `category`, `priority`, `assignedTo`, `fixFor` and `status` may be given
+ * as names, which are looked up (areas and milestones within `project`,
+ * statuses within `category`), or as IDs.  Fields with no friendly name
+ * are passed along as they are.
+ * @method resolveFields
+ * @param {Object} [fields] Case fields, e.g. `{project: 'Website'}`
+ * @returns {Promise.<Object>} Command parameters, e.g. `{ixProject: 3}`
+ */
+Client.prototype.resolveFields = function resolveFields(fields) {
+  var client = this;
+  var params = {};
+  fields = fields || {};
+
+  function idOf(field, scope) {
+    return client._idOf(LOOKUP_FIELDS[field][0], fields[field], scope);
+  }
+
+  return Q.all([idOf('project'), idOf('category')])
+    .spread(function(projectId, categoryId) {
+      var known = {
+        project: projectId,
+        category: categoryId
+      };
+      var scopes = {
+        area: projectId,
+        fixFor: projectId,
+        status: categoryId
+      };
+      return Q.all(_.map(fields, function(value, field) {
+        var param = LOOKUP_FIELDS[field];
+        if (!param) {
+          params[CASE_FIELDS[field] || field] = value;
+        } else if (_.has(known, field)) {
+          params[param[1]] = known[field];
+        } else {
+          return idOf(field, scopes[field])
+            .then(function(id) {
+              params[param[1]] = id;
+            });
+        }
+      }));
+    })
+    .then(function() {
+      return params;
+    });
+};
+
+/**
+ * Lists every case in a Filter.  As FogBugz can only do that for the
+ * current filter, the Filter is made current for a while; the filter which
+ * was current before is restored afterwards, whether or not the search
+ * worked.  Calls on the same Client wait for each other, so they can't
+ * switch filters under each other's feet.
+ * @method searchFilter
+ * @param {Filter|string} filter Filter object or string ID
+ * @param {array} [cols] Fields to pull
+ * @param {Object} [options] Options; see searchAll()
+ * @returns {Promise.<Array.<Case>>} Cases
+ */
+Client.prototype.searchFilter = function searchFilter(filter, cols,
+  options) {
+  var client = this;
+  var id = typeof filter === 'string' ? filter : filter.id;
+  var result;
+
+  function run() {
+    return client.listFilters()
+      .then(function(filters) {
+        var previous = _.find(filters, 'current');
+
+        function restore() {
+          if (!previous || previous.id === id) {
+            return Q.resolve();
+          }
+          return client.setCurrentFilter(previous);
+        }
+
+        return client.setCurrentFilter(id)
+          .then(function() {
+            return client.searchAll('', cols, options).toArray();
+          })
+          .then(function(cases) {
+            return restore()
+              .thenResolve(cases);
+          }, function(err) {
+            return restore()
+              .fin(function() {
+                throw err;
+              });
+          });
+      });
+  }
+
+  result = this._filterLock.then(run);
+  this._filterLock = result.catch(_.noop);
+  return result;
+};
+
+/**
+ * Turns a `<case>` element into a Case.  Column values are coerced to
+ * proper types, and common columns get friendly names; see lib/columns.
+ * @method _toCase
+ * @private
+ * @param {Object} kase xml2js representation of the element
+ * @returns {Case} Case
+ */
+Client.prototype._toCase = function _toCase(kase) {
+  var bug = new Case({
+    id: kase.$.ixBug,
+    operations: kase.$.operations ? kase.$.operations.split(',') : [],
+    url: format('%s/default.asp?%s', this.baseUrl(), kase.$.ixBug)
+  }, this);
+  _.each(kase, function(value, column) {
+    // `ixBug` is already the `id`
+    if (column !== '$' && column !== 'ixBug') {
+      bug[columns.propertyName(column)] = columns.coerce(column, value);
+    }
+  });
+  if (_.isArray(bug.tags)) {
+    bug.tags = bug.tags.join(', ');
+  }
+  if (kase.events) {
+    bug.events = (kase.events[0].event || []).map(this._toBugEvent, this);
+  }
+  bug._raw = kase;
+  return bug;
+};
+
+/**
+ * Turns an `<event>` element into a BugEvent.  Attachment URLs don't
+ * include the token; add `&token=...` to download them.
+ * @method _toBugEvent
+ * @private
+ * @param {Object} event xml2js representation of the element
+ * @returns {BugEvent} BugEvent
+ */
+Client.prototype._toBugEvent = function _toBugEvent(event) {
+  var baseUrl = this.baseUrl();
+
+  function text(key) {
+    var value = event[key] && event[key][0];
+    if (_.isString(value)) {
+      return value;
+    }
+    return value && value._ || '';
+  }
+
+  function attachment(obj) {
+    return {
+      filename: obj.sFileName[0],
+      url: format('%s/%s', baseUrl, obj.sURL[0])
+    };
+  }
+
+  return new BugEvent({
+    id: event.$.ixBugEvent,
+    bugId: event.$.ixBug,
+    verb: text('sVerb'),
+    person: text('sPerson'),
+    personId: columns.coerce('ixPerson', event.ixPerson),
+    date: new Date(text('dt')),
+    description: text('evtDescription'),
+    text: text('s'),
+    html: event.sHtml ? text('sHtml') : null,
+    changes: text('sChanges')
+      .split(/\r?\n/)
+      .map(function(change) {
+        return change.trim();
+      })
+      .filter(Boolean),
+    attachments: _.map(event.rgAttachments &&
+      event.rgAttachments[0].attachment, attachment)
+  }, this);
+};
+
+/**
+ * Sends a command which responds with the `<case>` it acted upon, e.g.
+ * `edit` or `new`, once.
+ * @method _caseCommand
+ * @private
+ * @param {string} cmd API command
+ * @param {Object} params Command parameters, except `token` and `cols`
+ * @param {array} [cols] The columns you want returned about the case, in
+ *     addition to the defaults
+ * @returns {Promise.<(Array.<Case>|Case)>} Case, or cases if several came back
+ */
+Client.prototype._caseCommand = function _caseCommand(cmd, params, cols) {
+  var client = this;
+  var token = this._token;
+  var dfrd = Q.defer();
+
+  function extractCases(xml) {
+    var r = _parse(xml, dfrd, cmd);
+    var cases;
+    if (!r) {
+      return;
+    }
+    if (!r.response || !r.response.case || !r.response.case.length) {
+      return dfrd.reject(new errors.XmlParseError(MODULE_ERRORS.xmlParseError,
+        {
+          command: cmd,
+          body: xml
+        }));
+    }
+    cases = r.response.case.map(client._toCase, client);
+    if (cases.length > 1) {
+      return cases;
+    }
+    return cases[0];
+  }
+
+  if (!token) {
+    dfrd.reject(new errors.NotLoggedOnError(MODULE_ERRORS.undefinedToken, {
+      command: cmd
+    }));
+  } else {
+    this._send(cmd, _.extend({}, params, {
+      token: token,
+      cols: (cols || []).concat(DEFAULT_COLS).join(',')
+    }), function(err, res, body) {
+      var newCases;
+      if (err) {
+        dfrd.reject(errors.fromTransport(err, cmd));
+      } else {
+        newCases = extractCases(body);
+        if (newCases) {
+          dfrd.resolve(newCases);
+        }
+      }
+    });
+  }
+  return dfrd.promise
+    .fin(function() {
+      // whether or not it worked, cached results may be out of date now
+      if (params.ixBug) {
+        client._invalidate('case:' + params.ixBug);
+      }
+    });
+};
+
+/**
+ * Performs a search against FogBugz's cases
+ * @method search
+ * @param {(string|Query)} query Query string, or Query
+ * @param {array} [cols] Fields to pull
+ * @param {number} [max] Number of cases to get at once
+ * @returns {Promise.<(Array.<Case>|Case)>} Case or cases
+ */
+Client.prototype.search = function search(query, cols, max) {
+  return this._findCases(query, cols, max || DEFAULT_MAX)
+    .then(function(cases) {
+      if (!cases.length) {
+        throw new errors.CaseNotFoundError(MODULE_ERRORS.bugNotFound, {
+          code: errors.CODES.caseNotFound,
+          command: 'search'
+        });
+      }
+      if (cases.length > 1) {
+        return cases;
+      }
+      return cases[0];
+    });
+};
+
+/**
+ * Searches, logging on again if need be, unless the results are cached;
+ * see the `cache` option.  Cached results are dropped when any case in them
+ * is changed, and, for the empty query, when the current filter is.
+ * @method _findCases
+ * @private
+ * @param {string} query Query string
+ * @param {array} [cols] Fields to pull
+ * @param {number} [max] Maximum number of cases to pull
+ * @returns {Promise.<Array.<Case>>} Cases
+ */
+Client.prototype._findCases = function _findCases(query, cols, max) {
+  var client = this;
+  query = _queryString(query);
+  return this._cached('search', {
+    q: query,
+    cols: cols || DEFAULT_COLS,
+    max: max
+  }, function() {
+    return client._session(function() {
+      return client._search(query, cols, max);
+    });
+  }, function(cases) {
+    var tags = cases.map(function(kase) {
+      return 'case:' + kase.id;
+    });
+    return query ? tags : tags.concat('filter');
+  })
+    .then(function(cases) {
+      // cached Cases are shared; callers get their own, made afresh
+      return cases.map(function(kase) {
+        return client._toCase(kase._raw);
+      });
+    });
+};
+
+/**
+ * Sends `cmd=search` once.
+ * @method _search
+ * @private
+ * @param {string} query Query string
+ * @param {array} [cols] Fields to pull
+ * @param {number} [max] Number of cases to get at once; omit for all
+ * @returns {Promise.<Array.<Case>>} Cases; empty if none matched
+ */
+Client.prototype._search = function _search(query, cols, max) {
+  var client = this;
+  var token = this._token;
+  var fields;
+  var dfrd = Q.defer();
+
+  function extractCases(xml) {
+    var r = _parse(xml, dfrd, 'search');
+    if (!r) {
+      return;
+    }
+    if (!r.response ||
+      !r.response.cases ||
+      !r.response.cases.length ||
+      !r.response.cases[0].case) {
+      return [];
+    }
+    return r.response.cases[0].case.map(client._toCase, client);
+  }
+
+  fields = (cols || DEFAULT_COLS).join(',');
+  if (!token) {
+    dfrd.reject(new errors.NotLoggedOnError(MODULE_ERRORS.undefinedToken, {
+      command: 'search'
+    }));
+  } else {
+    this._send('search', {
+      q: query,
+      cols: fields,
+      max: max,
+      token: token
+    }, function(err, res, body) {
+      var newCases;
+      if (err) {
+        dfrd.reject(errors.fromTransport(err, 'search'));
+      } else {
+        newCases = extractCases(body);
+        if (newCases) {
+          dfrd.resolve(newCases);
+        }
+      }
+    });
+  }
+  return dfrd.promise;
+};
+
+/**
+ * Finds every case matching a query, no matter how many there are, a page
+ * at a time.  Returns an object-mode readable stream of Cases; on Node.js 10
+ * and newer, you can also iterate it with `for await`.
+ * @method searchAll
+ * @param {(string|Query)} query Query string, or Query
+ * @param {array} [cols] Fields to pull
+ * @param {Object} [options] Options
+ * @param {number} [options.pageSize=50] Number of cases to pull per request
+ * @returns {CaseStream} Readable stream of Cases
+ */
+Client.prototype.searchAll = function searchAll(query, cols, options) {
+  options = options || {};
+  return new CaseStream(this, query, cols,
+    options.pageSize || DEFAULT_PAGE_SIZE);
+};
+
+/**
+ * Watches the cases matching a query.  Polls every `interval` ms, and emits
+ * an `added`, `changed` or `removed` event (and a `change` event) for each
+ * case which has, with a `{type, id, before, after}` object; `before` and
+ * `after` are Case snapshots, `null` where there is none.  After each poll,
+ * emits `cursor` with where it got to; pass that back as `cursor` (or use
+ * `cursorFile`) to resume without replaying everything.
+ * @method watch
+ * @param {(string|Query)} query Query string, or Query
+ * @param {Object} [options] Options
+ * @param {number} [options.interval=60000] Time (in ms) between polls
+ * @param {array} [options.cols] Fields to pull for Case snapshots
+ * @param {Object} [options.cursor] Cursor of an earlier watcher
+ * @param {string} [options.cursorFile] File to keep the cursor in
+ * @param {boolean} [options.initial=true] Whether cases already matching
+ *     when there's no cursor to resume from are `added`
+ * @returns {CaseWatcher} Watcher, which starts polling right away
+ */
+Client.prototype.watch = function watch(query, options) {
+  var watcher = new CaseWatcher(this, query, options);
+  watcher._schedule(0);
+  return watcher;
+};
+
+/**
+ * Edit a bug by ID
+ * @method editBug
+ * @param {number} [id] -- the ixBug of a case that you want edit
+ * @param {Object} [parameters] -- the parameters you want edit; friendly
+ *     fields such as `{project: 'Website'}` work too, see resolveFields()
+ * @param {array} [cols] The columns you want returned about this case
+ * @todo change return value
+ * @returns {Promise.<Array.<Case>>} Cases, though singular
+ */
+Client.prototype.editBug = function editBug(id, parameters, cols) {
+  var client = this;
+  return this.resolveFields(parameters)
+    .then(function(params) {
+      return client._session(function() {
+        return client._editBug(id, params, cols);
+      });
+    });
+};
+
+/**
+ * Sends `cmd=edit` once.
+ * @method _editBug
+ * @private
+ * @param {number} id The ixBug of a case that you want edit
+ * @param {Object} parameters The parameters you want edit
+ * @param {array} cols The columns you want returned about this case
+ * @returns {Promise.<Case>} Case
+ */
+Client.prototype._editBug = function _editBug(id, parameters, cols) {
+  return this._caseCommand('edit', _.extend({}, parameters, {ixBug: id}),
+    cols);
+};
+
+/**
+ * Calls `task` for every item, with at most `size` of the promises it returns
+ * pending at once.
+ * @param {Array} items Items
+ * @param {number} size Number of items to work on at once
+ * @param {Function} task Called with an item; returns a promise, which
+ *     shouldn't be rejected
+ * @returns {Promise} Resolved once every item is done
+ */
+function _pool(items, size, task) {
+  var next = 0;
+
+  function work() {
+    var item;
+    if (next >= items.length) {
+      return Q.resolve();
+    }
+    item = items[next++];
+    return task(item).then(work);
+  }
+
+  return Q.all(_.times(Math.min(size, items.length), work));
+}
+
+/**
+ * Returns the changes an edit would make to a case.  Parameters without a
+ * matching column, like `sEvent`, aren't changes.
+ * @param {Case} kase Case, with the columns `params` would change
+ * @param {Object} params Command parameters
+ * @returns {Object.<string, {from: *, to: *}>} Changes, by parameter
+ */
+function _changesOf(kase, params) {
+  var changes = {};
+
+  function normalize(value, param) {
+    if (param === 'sTags') {
+      return String(value || '').split(',')
+        .map(function(tag) {
+          return tag.trim();
+        })
+        .filter(Boolean)
+        .sort()
+        .join(',');
+    }
+    if (_.isDate(value)) {
+      return _formatDate(value);
+    }
+    return _.isNull(value) || _.isUndefined(value) ? '' : String(value);
+  }
+
+  _.each(_.omit(params, 'sEvent'), function(value, param) {
+    var from = kase[columns.propertyName(param === 'sTags' ? 'tags' : param)];
+    if (normalize(from, param) !== normalize(value, param)) {
+      changes[param] = {from: _.isUndefined(from) ? null : from, to: value};
+    }
+  });
+  return changes;
+}
+
+/**
+ * Edits every case matching a query.  Matching cases are searched for
+ * afresh, never from the cache, along with the columns the edit would
+ * change; cases whose `operations` don't include `edit`, and cases the edit
+ * wouldn't change, are skipped.  If there are no fields to change, just a
+ * comment, every case gets the comment.  The rest are edited, a few at a
+ * time.  Failures don't stop the run; they're reported along with the
+ * successes.
+ *
+ * The promise is notified of progress as each case is done with, e.g.
+ * `client.bulkEdit(...).progress(function(p) { ... })`, with the `id` of
+ * the case, its `outcome` (`succeeded`, `planned`, `skipped` or `failed`),
+ * and how many cases are `done` out of the `total`.
+ * @method bulkEdit
+ * @param {(string|Query)} query Query string, or Query
+ * @param {Object} parameters Fields to change; see newBug()
+ * @param {Object} [options] Options
+ * @param {boolean} [options.dryRun=false] Only report the changes which
+ *     would be made, without sending any
+ * @param {number} [options.concurrency] Number of cases to edit at once;
+ *     defaults to the Client's `concurrency`
+ * @param {string} [options.comment] Text of the event each edit adds
+ * @param {number} [options.max] Maximum number of cases to edit
+ * @returns {Promise.<Object>} Report: the `total` number of matching cases,
+ *     and lists of cases `succeeded`, `planned` (on a dry run), `skipped`
+ *     and `failed`.  Each entry has the case's `id` and `title`; entries
+ *     which were (or would be) edited have their `changes`, by parameter,
+ *     as `{from, to}`; skipped ones have a `reason`, failed ones an `error`.
+ */
+Client.prototype.bulkEdit = function bulkEdit(query, parameters, options) {
+  var client = this;
+  var dfrd = Q.defer();
+  var report = {
+    total: 0,
+    succeeded: [],
+    planned: [],
+    skipped: [],
+    failed: []
+  };
+  var params;
+  var commentOnly;
+  options = options || {};
+
+  function settle(outcome, entry) {
+    report[outcome].push(entry);
+    dfrd.notify({
+      id: entry.id,
+      outcome: outcome,
+      done: report.succeeded.length + report.planned.length +
+        report.skipped.length + report.failed.length,
+      total: report.total
+    });
+  }
+
+  function edit(kase) {
+    var changes = _changesOf(kase, params);
+    var entry = {id: kase.id, title: kase.title};
+    if (!_.contains(kase.operations, 'edit')) {
+      settle('skipped', _.extend(entry, {
+        reason: format(MODULE_ERRORS.operationNotPermitted, kase.id, 'edit')
+      }));
+      return Q.resolve();
+    }
+    if (_.isEmpty(changes) && !commentOnly) {
+      settle('skipped', _.extend(entry, {reason: MODULE_ERRORS.unchanged}));
+      return Q.resolve();
+    }
+    entry.changes = changes;
+    if (options.dryRun) {
+      settle('planned', entry);
+      return Q.resolve();
+    }
+    return client._session(function() {
+      return client._editBug(kase.id, _.extend({}, params,
+        options.comment ? {sEvent: options.comment} : {}), []);
+    })
+      .then(function() {
+        settle('succeeded', entry);
+      }, function(err) {
+        settle('failed', _.extend(entry, {error: err}));
+      });
+  }
+
+  this.resolveFields(parameters)
+    .then(function(fields) {
+      var cols;
+      params = fields;
+      commentOnly = _.isEmpty(_.omit(params, 'sEvent')) &&
+        Boolean(options.comment || params.sEvent);
+      cols = _.union(DEFAULT_COLS, _.keys(params).map(function(param) {
+        return param === 'sTags' ? 'tags' : param;
+      }));
+      return client._session(function() {
+        return client._search(_queryString(query), cols, options.max);
+      });
+    })
+    .then(function(cases) {
+      report.total = cases.length;
+      return _pool(cases, options.concurrency > 0 ? options.concurrency :
+        client.conf.concurrency, edit);
+    })
+    .then(function() {
+      dfrd.resolve(report);
+    }, dfrd.reject)
+    .done();
+  return dfrd.promise;
+};
+
+/**
+ * Gets the history of a bug by ID.
+ * @method getBugEvents
+ * @param {string|number} id ID of bug
+ * @returns {Promise.<Array.<BugEvent>>} Events, oldest first
+ */
+Client.prototype.getBugEvents = function getBugEvents(id) {
+  return this.getBug(id, DEFAULT_COLS.concat('events'))
+    .then(function(kase) {
+      return kase.events;
+    });
+};
+
+/**
+ * Opens a new case.
+ * @method newBug
+ * @param {Object} fields Fields of the new case
+ * @param {string} fields.title Title
+ * @param {(string|number)} [fields.project] Project name or ID
+ * @param {(string|number)} [fields.area] Area name or ID
+ * @param {(string|number)} [fields.category] Category name or ID
+ * @param {(string|number)} [fields.priority] Priority name or ID
+ * @param {(string|number)} [fields.assignedTo] Name, email or ID of
+ *     assignee
+ * @param {(string|number)} [fields.fixFor] Milestone name or ID
+ * @param {string} [fields.event] Text of the opening event
+ * @param {(Array.<string>|string)} [fields.tags] Tags
+ * @param {number} [fields.parent] ID of the parent case
+ * @param {Object} [options] Options
+ * @param {Array} [options.attachments] Files to attach: paths, Buffers,
+ *     readable streams, or `{filename, content, contentType}` objects.
+ *     Streams are read into memory first, so the command can be replayed
+ *     and every part has a known length.
+ * @param {array} [options.cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The new case
+ */
+Client.prototype.newBug = function newBug(fields, options) {
+  var client = this;
+  var attachments;
+  options = options || {};
+  attachments = options.attachments || [];
+
+  return Q.all([
+    this.resolveFields(fields),
+    Q.all(attachments.map(_bufferAttachment))
+  ])
+    .spread(function(params, files) {
+      return client._session(function() {
+        return client._caseCommand('new',
+          _.extend(_attachmentParams(files), params), options.cols);
+      });
+    });
+};
+
+/**
+ * Gets a bug by ID
+ * @method getBug
+ * @param {string|number} id ID of bug
+ * @param {number} [cols] Cols to pull
+ * @returns {Promise.<(Array.<Case>|Case)>} Case or cases
+ */
+Client.prototype.getBug = function getBug(id, cols) {
+  return this.search(id, cols, 1);
+};
+
+/**
+ * Gets many bugs by ID, searching for a chunk of them at a time.  Chunks
+ * are searched for at once, as far as the `concurrency` option allows.
+ * @method getBugs
+ * @param {Array.<(string|number)>} ids IDs of bugs
+ * @param {array} [cols] Cols to pull
+ * @param {Object} [options] Options
+ * @param {number} [options.chunkSize=50] Number of bugs per search
+ * @returns {Promise.<{cases: Array.<Case>, missing: Array}>} The Cases
+ *     found, in the order of `ids`, and the IDs of those which weren't
+ */
+Client.prototype.getBugs = function getBugs(ids, cols, options) {
+  var client = this;
+  options = options || {};
+  return Q.all(_chunk(ids, options.chunkSize || DEFAULT_PAGE_SIZE)
+    .map(function(chunk) {
+      return client._findCases('ixBug:' + chunk.join(','), cols,
+        chunk.length);
+    }))
+    .then(function(results) {
+      var byId = _.indexBy(_.flatten(results), 'id');
+      var found = {
+        cases: [],
+        missing: []
+      };
+      ids.forEach(function(id) {
+        var kase = byId[String(id)];
+        if (kase) {
+          found.cases.push(kase);
+        } else {
+          found.missing.push(id);
+        }
+      });
+      return found;
+    });
+};
+
+/**
+ * Sends workflow command `cmd` for a case, if the case's `operations`
+ * permit it.  Workflow commands are named after the operations they need.
+ * @method _workflow
+ * @private
+ * @param {string} cmd Workflow command, e.g. `resolve`
+ * @param {Case} kase Case to act upon
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype._workflow = function _workflow(cmd, kase, params, cols) {
+  var client = this;
+  if (!_.contains(kase.operations, cmd)) {
+    return Q.reject(new errors.OperationNotPermittedError(
+      format(MODULE_ERRORS.operationNotPermitted, kase.id, cmd), {
+        command: cmd
+      }));
+  }
+  return this.resolveFields(params)
+    .then(function(fields) {
+      return client._session(function() {
+        return client._caseCommand(cmd, _.extend(fields, {
+          ixBug: kase.id
+        }), cols);
+      });
+    });
+};
+
+/**
+ * Fetches a case, never from the cache, then sends workflow command `cmd`
+ * for it, if its operations allow.
+ * @method _workflowById
+ * @private
+ * @param {string} cmd Workflow command, e.g. `resolve`
+ * @param {string|number} id ID of bug
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype._workflowById = function _workflowById(cmd, id, params,
+  cols) {
+  var client = this;
+  return this._session(function() {
+    return client._search(_queryString(id), DEFAULT_COLS, 1);
+  })
+    .then(function(cases) {
+      if (!cases.length) {
+        throw new errors.CaseNotFoundError(MODULE_ERRORS.bugNotFound, {
+          code: errors.CODES.caseNotFound,
+          command: 'search'
+        });
+      }
+      return client._workflow(cmd, cases[0], params, cols);
+    });
+};
+
+/**
+ * Assigns a bug by ID, e.g. `{assignedTo: 'Jane Doe'}`.
+ * @method assignBug
+ * @param {string|number} id ID of bug
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype.assignBug = function assignBug(id, params, cols) {
+  return this._workflowById('assign', id, params, cols);
+};
+
+/**
+ * Resolves a bug by ID.  Pass `status` (a name or ID) to choose the
+ * resolution.
+ * @method resolveBug
+ * @param {string|number} id ID of bug
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype.resolveBug = function resolveBug(id, params, cols) {
+  return this._workflowById('resolve', id, params, cols);
+};
+
+/**
+ * Reopens a closed bug by ID.
+ * @method reopenBug
+ * @param {string|number} id ID of bug
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype.reopenBug = function reopenBug(id, params, cols) {
+  return this._workflowById('reopen', id, params, cols);
+};
+
+/**
+ * Reactivates a resolved bug by ID.
+ * @method reactivateBug
+ * @param {string|number} id ID of bug
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype.reactivateBug = function reactivateBug(id, params, cols) {
+  return this._workflowById('reactivate', id, params, cols);
+};
+
+/**
+ * Closes a resolved bug by ID.
+ * @method closeBug
+ * @param {string|number} id ID of bug
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype.closeBug = function closeBug(id, params, cols) {
+  return this._workflowById('close', id, params, cols);
+};
+
+/**
+ * Replies to the customer of a bug by ID.  Pass `sFrom`, `sTo`, `sSubject`
+ * and `sEvent`.
+ * @method replyBug
+ * @param {string|number} id ID of bug
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Client.prototype.replyBug = function replyBug(id, params, cols) {
+  return this._workflowById('reply', id, params, cols);
+};
+
+/**
+ * Turns an `<interval>` element into an Interval.
+ * @method _toInterval
+ * @private
+ * @param {Object} node xml2js representation of the element
+ * @returns {Interval} Interval
+ */
+Client.prototype._toInterval = function _toInterval(node) {
+  function value(column) {
+    return columns.coerce(column, node[column]);
+  }
+
+  return new Interval({
+    id: value('ixInterval'),
+    caseId: value('ixBug'),
+    personId: value('ixPerson'),
+    start: value('dtStart'),
+    end: value('dtEnd'),
+    title: value('sTitle'),
+    deleted: Boolean(value('fDeleted'))
+  }, this);
+};
+
+/**
+ * Starts working on a case, i.e. starts a new Interval for it; stops work
+ * on anything else.
+ * @method startWork
+ * @param {string|number} caseId ID of bug
+ * @returns {Promise.<boolean>} True if success
+ */
+Client.prototype.startWork = function startWork(caseId) {
+  var client = this;
+  return this._session(function() {
+    return client._command('startWork', {ixBug: caseId}, function() {
+      return true;
+    });
+  });
+};
+
+/**
+ * Stops working on whatever case you're working on.
+ * @method stopWork
+ * @returns {Promise.<boolean>} True if success
+ */
+Client.prototype.stopWork = function stopWork() {
+  var client = this;
+  return this._session(function() {
+    return client._command('stopWork', {}, function() {
+      return true;
+    });
+  });
+};
+
+/**
+ * Lists the time intervals of a person.
+ * @method listIntervals
+ * @param {Object} [options] Options
+ * @param {(Person|string|number)} [options.person] Person, or their name,
+ *     email or ID; defaults to the person logged on
+ * @param {(Date|string)} [options.start] Only intervals ending after this
+ * @param {(Date|string)} [options.end] Only intervals starting before this
+ * @param {string|number} [options.caseId] Only intervals on this case
+ * @returns {Promise.<Array.<Interval>>} Intervals
+ */
+Client.prototype.listIntervals = function listIntervals(options) {
+  var client = this;
+  options = options || {};
+  return this._idOf('person', options.person)
+    .then(function(personId) {
+      return client._session(function() {
+        return client._listIntervals({
+          ixPerson: personId,
+          ixBug: options.caseId,
+          dtStart: options.start,
+          dtEnd: options.end
+        });
+      });
+    });
+};
+
+/**
+ * Sends `cmd=listIntervals` once.
+ * @method _listIntervals
+ * @private
+ * @param {Object} params Command parameters, besides the token
+ * @returns {Promise.<Array.<Interval>>} Intervals
+ */
+Client.prototype._listIntervals = function _listIntervals(params) {
+  var client = this;
+  return this._command('listIntervals', params, function(response) {
+    if (response.intervals) {
+      return (response.intervals[0].interval || [])
+        .map(function(node) {
+          return client._toInterval(node);
+        });
+    }
+  });
+};
+
+/**
+ * Records time worked on a case.
+ * @method newInterval
+ * @param {Object} interval Interval to record
+ * @param {string|number} interval.caseId ID of bug
+ * @param {(Date|string)} interval.start Start time
+ * @param {(Date|string)} interval.end End time
+ * @returns {Promise.<Interval>} The new Interval
+ */
+Client.prototype.newInterval = function newInterval(interval) {
+  var client = this;
+  return this._session(function() {
+    return client._command('newInterval', {
+      ixBug: interval.caseId,
+      dtStart: interval.start,
+      dtEnd: interval.end
+    }, function(response) {
+      if (response.interval) {
+        return client._toInterval(response.interval[0]);
+      }
+    });
+  });
+};
+
+/**
+ * Totals the hours worked, per case or per person, between two dates.
+ * Intervals reaching past either date only count in part.
+ * @method totalHours
+ * @param {Object} [options] Options; see listIntervals()
+ * @param {string} [options.by=case] `case` or `person`
+ * @returns {Promise.<Object.<string, number>>} Hours by case or person ID
+ */
+Client.prototype.totalHours = function totalHours(options) {
+  var start;
+  var end;
+  var key;
+  options = options || {};
+  start = options.start && new Date(options.start);
+  end = options.end && new Date(options.end);
+  key = options.by === 'person' ? 'personId' : 'caseId';
+  return this.listIntervals(options)
+    .then(function(intervals) {
+      return _.reduce(intervals, function(totals, interval) {
+        if (!interval.deleted) {
+          totals[interval[key]] = (totals[interval[key]] || 0) +
+            interval.hours(start, end);
+        }
+        return totals;
+      }, {});
+    });
+};
+
+/**
+ * Lists the wikis.  The list is cached like those of listProjects().
+ * @method listWikis
+ * @returns {Promise.<Array.<Wiki>>} Wikis
+ */
+Client.prototype.listWikis = function listWikis() {
+  return this._lookupList('wiki');
+};
+
+/**
+ * Turns a `<wikipage>` or `<article>` element into an Article.
+ * @method _toArticle
+ * @private
+ * @param {Object} node xml2js representation of the element
+ * @param {Object} [defaults] Properties the element may leave out, such as
+ *     the `id` of the article asked for
+ * @returns {Article} Article
+ */
+Client.prototype._toArticle = function _toArticle(node, defaults) {
+  return new Article(_.defaults(_columnsOf(node, ARTICLE_COLUMNS),
+    defaults), this);
+};
+
+/**
+ * Sends an article command once; resolves with the `<wikipage>` it sends
+ * back.
+ * @method _articleCommand
+ * @private
+ * @param {string} cmd API command, e.g. `viewArticle`
+ * @param {Object} params Command parameters, besides the token
+ * @param {Object} [defaults] See _toArticle()
+ * @returns {Promise.<Article>} Article
+ */
+Client.prototype._articleCommand = function _articleCommand(cmd, params,
+  defaults) {
+  var client = this;
+  return this._command(cmd, params, function(response) {
+    if (response.wikipage) {
+      return client._toArticle(response.wikipage[0], defaults);
+    }
+  });
+};
+
+/**
+ * Lists the articles of a wiki, with their headlines but not their bodies.
+ * @method listArticles
+ * @param {(Wiki|string|number)} wiki Wiki, or its name or ID
+ * @returns {Promise.<Array.<Article>>} Articles
+ */
+Client.prototype.listArticles = function listArticles(wiki) {
+  var client = this;
+  return this._idOf('wiki', wiki)
+    .then(function(wikiId) {
+      return client._session(function() {
+        return client._listArticles(wikiId);
+      });
+    });
+};
+
+/**
+ * Sends `cmd=listArticles` once.
+ * @method _listArticles
+ * @private
+ * @param {number} wikiId ID of the wiki
+ * @returns {Promise.<Array.<Article>>} Articles
+ */
+Client.prototype._listArticles = function _listArticles(wikiId) {
+  var client = this;
+  return this._command('listArticles', {ixWiki: wikiId}, function(response) {
+    var holder = response.wikidata ? response.wikidata[0] : response;
+    if (holder.articles) {
+      return (holder.articles[0].article || [])
+        .map(function(node) {
+          return client._toArticle(node, {wikiId: wikiId});
+        });
+    }
+  });
+};
+
+/**
+ * Gets an article, with its body.
+ * @method viewArticle
+ * @param {string|number} articleId ID of the article
+ * @param {Object} [options] Options
+ * @param {number} [options.revision] Revision to get; defaults to the latest
+ * @returns {Promise.<Article>} Article
+ */
+Client.prototype.viewArticle = function viewArticle(articleId, options) {
+  var client = this;
+  options = options || {};
+  return this._session(function() {
+    return client._articleCommand('viewArticle', {
+      ixWikiPage: articleId,
+      nRevision: options.revision
+    }, {id: parseInt(articleId, 10)});
+  });
+};
+
+/**
+ * Adds an article to a wiki.
+ * @method newArticle
+ * @param {(Wiki|string|number)} wiki Wiki, or its name or ID
+ * @param {Object} article Article to add
+ * @param {string} article.headline Headline
+ * @param {string} article.body Body, as HTML
+ * @returns {Promise.<Article>} The new article
+ */
+Client.prototype.newArticle = function newArticle(wiki, article) {
+  var client = this;
+  return this._idOf('wiki', wiki)
+    .then(function(wikiId) {
+      return client._session(function() {
+        return client._articleCommand('newArticle', {
+          ixWiki: wikiId,
+          sHeadline: article.headline,
+          sBody: article.body
+        }, {wikiId: wikiId});
+      });
+    });
+};
+
+/**
+ * Changes an article, making a new revision of it.
+ * @method editArticle
+ * @param {string|number} articleId ID of the article
+ * @param {Object} changes Changes; anything left out stays as it is
+ * @param {string} [changes.headline] Headline
+ * @param {string} [changes.body] Body, as HTML
+ * @param {string} [changes.comment] What changed, for the revision history
+ * @returns {Promise.<Article>} The changed article
+ */
+Client.prototype.editArticle = function editArticle(articleId, changes) {
+  var client = this;
+  return this._session(function() {
+    return client._articleCommand('editArticle', {
+      ixWikiPage: articleId,
+      sHeadline: changes.headline,
+      sBody: changes.body,
+      sComment: changes.comment
+    }, {id: parseInt(articleId, 10)});
+  });
+};
+
+/**
+ * Creates a new Client.
+ * @param {Object} options Client options; see class Client
+ * @returns {Client} New Client
+ */
+function createClient(options) {
+  return new Client(options);
+}
+
+/**
+ * Returns the default Client, creating it from `NODE_FOGBUGZ_CONFIG` or
+ * `fogbugz.conf.json` the first time it's needed.
+ * @returns {Client} Default Client
+ */
+function getDefaultClient() {
+  if (!defaultClient) {
+    defaultClient = new Client(require(process.env.NODE_FOGBUGZ_CONFIG ||
+      './fogbugz.conf.json'));
+  }
+  return defaultClient;
+}
+
+/**
+ * Makes Express/connect middleware receiving the requests of a FogBugz URL
+ * trigger; it also serves as a plain `http` request listener.  The
+ * middleware is an EventEmitter, emitting a Trigger as a `trigger` event
+ * and as an event named after its type, e.g. `CaseEdited`.
+ * @param {Object} [options] Options
+ * @param {string} [options.secret] Shared secret requests must carry in
+ *     their `secret` parameter
+ * @param {boolean} [options.fetchCase=false] Whether to fetch the Case with
+ *     getBug() before answering and emitting; if that fails, the request
+ *     gets a 502, and the error is emitted as `fetchError`
+ * @param {array} [options.cols] Fields to pull when fetching the Case
+ * @param {Client} [options.client] Client to fetch with; defaults to the
+ *     default Client
+ * @returns {Function} Middleware
+ */
+function createTriggerMiddleware(options) {
+  options = options || {};
+  return triggers.createMiddleware(options, function() {
+    return options.client || getDefaultClient();
+  });
+}
+
+/**
+ * Creates an HTTP server receiving the requests of a FogBugz URL trigger;
+ * the server emits what createTriggerMiddleware() would.
+ * @param {Object} [options] Options; see createTriggerMiddleware()
+ * @param {number} [options.port] Port to listen upon; if omitted, call
+ *     `listen()` yourself
+ * @param {string} [options.host] Host to listen upon
+ * @returns {http.Server} Server
+ */
+function createTriggerServer(options) {
+  var server = http.createServer();
+  options = options || {};
+  server.on('request', triggers.createMiddleware(options, function() {
+    return options.client || getDefaultClient();
+  }, server));
+  if (!_.isUndefined(options.port)) {
+    server.listen(options.port, options.host);
+  }
+  return server;
+}
+
+/**
+ * Makes a function which calls Client method `name` upon the default Client.
+ * If the default Client can't be created, the returned promise is rejected.
+ * @param {string} name Name of Client method
+ * @returns {Function} Function returning a promise
+ */
+function _delegate(name) {
+  return function() {
+    var client;
+    try {
+      client = getDefaultClient();
+      return Q.resolve(client[name].apply(client, arguments));
+    } catch (err) {
+      return Q.reject(err);
+    }
+  };
+}
+
+/**
+ * Sets the current filter to be this Filter
+ * @method setCurrent
+ * @returns {Promise.<boolean>} True if successful
+ */
+Filter.prototype.setCurrent = function setCurrent() {
+  return (this._client || getDefaultClient()).setCurrentFilter(this);
+};
+
+/**
+ * Lists the articles of this Wiki; see Client.listArticles.
+ * @method listArticles
+ * @returns {Promise.<Array.<Article>>} Articles
+ */
+Wiki.prototype.listArticles = function listArticles() {
+  return (this._client || getDefaultClient()).listArticles(this.id);
+};
+
+/**
+ * Adds an article to this Wiki; see Client.newArticle.
+ * @method newArticle
+ * @param {Object} article Article to add
+ * @returns {Promise.<Article>} The new article
+ */
+Wiki.prototype.newArticle = function newArticle(article) {
+  return (this._client || getDefaultClient()).newArticle(this.id, article);
+};
+
+/**
+ * Changes this Article; see Client.editArticle.
+ * @method edit
+ * @param {Object} changes Changes
+ * @returns {Promise.<Article>} The changed article
+ */
+Article.prototype.edit = function edit(changes) {
+  return (this._client || getDefaultClient()).editArticle(this.id, changes);
+};
+
+/**
+ * Lists every case in this Filter, without changing which filter is
+ * current; see Client.searchFilter.
+ * @method getCases
+ * @param {array} [cols] Fields to pull
+ * @param {Object} [options] Options; see Client.searchAll
+ * @returns {Promise.<Array.<Case>>} Cases
+ */
+Filter.prototype.getCases = function getCases(cols, options) {
+  return (this._client || getDefaultClient()).searchFilter(this, cols,
+    options);
+};
+
+/**
+ * Makes a Case method which sends workflow command `cmd` for the case.
+ * @param {string} cmd Workflow command, e.g. `resolve`
+ * @returns {Function} Case method
+ */
+function _caseWorkflow(cmd) {
+  return function(params, cols) {
+    return (this._client || getDefaultClient())
+      ._workflow(cmd, this, params, cols);
+  };
+}
+
+/**
+ * Assigns this Case; see Client.assignBug.
+ * @method assign
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Case.prototype.assign = _caseWorkflow('assign');
+
+/**
+ * Resolves this Case; see Client.resolveBug.
+ * @method resolve
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Case.prototype.resolve = _caseWorkflow('resolve');
+
+/**
+ * Reopens this Case; see Client.reopenBug.
+ * @method reopen
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Case.prototype.reopen = _caseWorkflow('reopen');
+
+/**
+ * Reactivates this Case; see Client.reactivateBug.
+ * @method reactivate
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Case.prototype.reactivate = _caseWorkflow('reactivate');
+
+/**
+ * Closes this Case; see Client.closeBug.
+ * @method close
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Case.prototype.close = _caseWorkflow('close');
+
+/**
+ * Replies to the customer of this Case; see Client.replyBug.
+ * @method reply
+ * @param {Object} [params] Fields to change; see newBug()
+ * @param {array} [cols] The columns you want returned about the case
+ * @returns {Promise.<Case>} The refreshed case
+ */
+Case.prototype.reply = _caseWorkflow('reply');
+
+fogbugz = {
+  MODULE_ERRORS: MODULE_ERRORS,
+
+  createClient: createClient,
+
+  createTriggerMiddleware: createTriggerMiddleware,
+
+  createTriggerServer: createTriggerServer,
+
+  /**
+   * Starts building a query for search(), searchAll() or watch(), e.g.
+   * `fogbugz.query().assignedTo('Jane Doe').status('active')`.
+   * @method query
+   * @see class Query
+   * @returns {Query} Empty Query
+   */
+  query: function query() {
+    return new Query();
+  },
+
+  /**
+   * Forgets the token of the default Client, and drops it from its token
+   * store.
+   * @method forgetToken
+   * @returns {Promise} Resolved once dropped from the store
+   */
+  forgetToken: function forgetToken() {
+    return defaultClient ? defaultClient.forgetToken() : Q.resolve();
+  },
+
+  /**
+   * Forgets the cached lists of projects, people, etc. of the default
+   * Client.
+   * @method clearLookups
+   */
+  clearLookups: function clearLookups() {
+    if (defaultClient) {
+      defaultClient.clearLookups();
+    }
+  },
+
+  /**
+   * Forgets every cached result of the default Client.
+   * @method clearCache
+   */
+  clearCache: function clearCache() {
+    if (defaultClient) {
+      defaultClient.clearCache();
+    }
+  },
+
+  discover: _delegate('discover'),
+  setToken: _delegate('setToken'),
+  logoff: _delegate('logoff'),
+  logon: _delegate('logon'),
+  listFilters: _delegate('listFilters'),
+  setCurrentFilter: _delegate('setCurrentFilter'),
+  searchFilter: _delegate('searchFilter'),
+  listProjects: _delegate('listProjects'),
+  listAreas: _delegate('listAreas'),
+  listPeople: _delegate('listPeople'),
+  listFixFors: _delegate('listFixFors'),
+  listCategories: _delegate('listCategories'),
+  listPriorities: _delegate('listPriorities'),
+  listStatuses: _delegate('listStatuses'),
+  lookup: _delegate('lookup'),
+  resolveFields: _delegate('resolveFields'),
+  search: _delegate('search'),
+
+  /**
+   * Finds every case matching a query with the default Client.
+   * @method searchAll
+   * @see Client.searchAll
+   * @param {string} query Query string
+   * @param {array} [cols] Fields to pull
+   * @param {Object} [options] Options
+   * @returns {CaseStream} Readable stream of Cases
+   */
+  searchAll: function searchAll(query, cols, options) {
+    return getDefaultClient().searchAll(query, cols, options);
+  },
+
+  /**
+   * Watches the cases matching a query with the default Client.
+   * @method watch
+   * @see Client.watch
+   * @param {string} query Query string
+   * @param {Object} [options] Options
+   * @returns {CaseWatcher} Watcher
+   */
+  watch: function watch(query, options) {
+    return getDefaultClient().watch(query, options);
+  },
+  editBug: _delegate('editBug'),
+  bulkEdit: _delegate('bulkEdit'),
+  newBug: _delegate('newBug'),
+  assignBug: _delegate('assignBug'),
+  resolveBug: _delegate('resolveBug'),
+  reopenBug: _delegate('reopenBug'),
+  reactivateBug: _delegate('reactivateBug'),
+  closeBug: _delegate('closeBug'),
+  replyBug: _delegate('replyBug'),
+  getBug: _delegate('getBug'),
+  getBugs: _delegate('getBugs'),
+  getBugEvents: _delegate('getBugEvents'),
+  startWork: _delegate('startWork'),
+  stopWork: _delegate('stopWork'),
+  listIntervals: _delegate('listIntervals'),
+  newInterval: _delegate('newInterval'),
+  totalHours: _delegate('totalHours'),
+  listWikis: _delegate('listWikis'),
+  listArticles: _delegate('listArticles'),
+  viewArticle: _delegate('viewArticle'),
+  newArticle: _delegate('newArticle'),
+  editArticle: _delegate('editArticle')
+};
+
 module.exports = fogbugz;
+module.exports.Client = Client;
 module.exports.Filter = Filter;
 module.exports.Case = Case;
+module.exports.BugEvent = BugEvent;
+module.exports.Project = Project;
+module.exports.Area = Area;
+module.exports.Person = Person;
+module.exports.FixFor = FixFor;
+module.exports.Category = Category;
+module.exports.Priority = Priority;
+module.exports.Status = Status;
+module.exports.Interval = Interval;
+module.exports.Wiki = Wiki;
+module.exports.Article = Article;
+module.exports.CaseStream = CaseStream;
+module.exports.CaseWatcher = CaseWatcher;
+module.exports.Query = Query;
+module.exports.MemoryTokenStore = tokens.MemoryTokenStore;
+module.exports.FileTokenStore = tokens.FileTokenStore;
+module.exports.Trigger = triggers.Trigger;
+module.exports.COLUMNS = columns.FRIENDLY_NAMES;
+module.exports.ERROR_CODES = errors.CODES;
+module.exports.FogBugzError = errors.FogBugzError;
+module.exports.AuthenticationError = errors.AuthenticationError;
+module.exports.NotLoggedOnError = errors.NotLoggedOnError;
+module.exports.MissingArgumentError = errors.MissingArgumentError;
+module.exports.CaseNotFoundError = errors.CaseNotFoundError;
+module.exports.OperationNotPermittedError = errors.OperationNotPermittedError;
+module.exports.LookupError = errors.LookupError;
+module.exports.XmlParseError = errors.XmlParseError;
+module.exports.TransportError = errors.TransportError;
+module.exports.UnsupportedVersionError = errors.UnsupportedVersionError;
+module.exports.API_VERSION = API_VERSION;
@@ -0,0 +1,446 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/cli
+ * @overview The `fogbugz` command.  Credentials come from the file named by
+ * `NODE_FOGBUGZ_CONFIG` (or `fogbugz.conf.json` in the working directory),
+ * overridden by `FOGBUGZ_HOST`, `FOGBUGZ_PROTOCOL`, `FOGBUGZ_PORT`,
+ * `FOGBUGZ_BASE_PATH`, `FOGBUGZ_USERNAME`, `FOGBUGZ_PASSWORD` and
+ * `FOGBUGZ_TOKEN`.  The token is kept between runs in a FileTokenStore: in
+ * `~/.fogbugz-token.json`, or the file named by `FOGBUGZ_TOKEN_FILE`.
+ */
+var fs = require('fs');
+var path = require('path');
+var format = require('util').format;
+var Q = require('q');
+var _ = require('lodash-node');
+var fogbugz = require('../index');
+var columns = require('./columns');
+var tokens = require('./tokens');
+
+var COMMANDS;
+
+/**
+ * How to use the command.
+ * @type {string}
+ */
+var USAGE = [
+  'Usage: fogbugz <command> [options]',
+  '',
+  'Commands:',
+  '  logon                        log on, and keep the token',
+  '  search <query>               search for cases',
+  '  show <id>                    show a case',
+  '  edit <id> --set col=value    edit a case; --set may be repeated',
+  '  filters                      list filters',
+  '',
+  'Options:',
+  '  --cols <a,b,...>             columns to pull',
+  '  --max <n>                    most cases to list (search)',
+  '  --comment <text>             comment of the edit (edit)',
+  '  --use <id>                   make a filter the current one (filters)',
+  '  --format <table|json|ndjson> output format; defaults to table',
+  '  --help                       show this'
+].join('\n');
+
+/**
+ * Options the command takes, and the kind of value each has.
+ * @type {Object.<string, string>}
+ */
+var OPTIONS = {
+  cols: 'list',
+  max: 'number',
+  set: 'pairs',
+  comment: 'string',
+  use: 'string',
+  format: 'string',
+  help: 'boolean'
+};
+
+/**
+ * Output formats.
+ * @type {Array.<string>}
+ */
+var FORMATS = ['table', 'json', 'ndjson'];
+
+/**
+ * Environment variables overriding the configuration file.
+ * @type {Object.<string, string>}
+ */
+var ENV_CONFIG = {
+  FOGBUGZ_HOST: 'host',
+  FOGBUGZ_PROTOCOL: 'protocol',
+  FOGBUGZ_PORT: 'port',
+  FOGBUGZ_BASE_PATH: 'basePath',
+  FOGBUGZ_USERNAME: 'username',
+  FOGBUGZ_PASSWORD: 'password',
+  FOGBUGZ_TOKEN: 'token'
+};
+
+/**
+ * Makes an error about the way the command was used.
+ * @returns {Error} Error with a truthy `usage` property
+ */
+function _usageError() {
+  var err = new Error(format.apply(null, arguments));
+  err.usage = true;
+  return err;
+}
+
+/**
+ * Parses command-line arguments.  Options look like `--name value` or
+ * `--name=value`.
+ * @param {Array.<string>} argv Arguments, without `node` and the script
+ * @returns {Object} Options by name, and the other arguments as `_`
+ */
+function parseArgs(argv) {
+  var args = {_: [], set: {}};
+  var i = 0;
+  var match;
+  var name;
+  var value;
+  var pair;
+  while (i < argv.length) {
+    match = /^--([a-z]+)(?:=([\s\S]*))?$/.exec(argv[i]);
+    i++;
+    if (!match) {
+      args._.push(argv[i - 1]);
+    } else {
+      name = match[1];
+      if (!_.has(OPTIONS, name)) {
+        throw _usageError('unknown option --%s', name);
+      }
+      if (OPTIONS[name] === 'boolean') {
+        args[name] = true;
+      } else {
+        value = _.isUndefined(match[2]) ? argv[i++] : match[2];
+        if (_.isUndefined(value)) {
+          throw _usageError('--%s needs a value', name);
+        }
+        switch (OPTIONS[name]) {
+        case 'list':
+          args[name] = value.split(',').map(function(item) {
+            return item.trim();
+          });
+          break;
+        case 'number':
+          args[name] = parseInt(value, 10);
+          if (isNaN(args[name])) {
+            throw _usageError('--%s needs a number', name);
+          }
+          break;
+        case 'pairs':
+          pair = /^([^=]+)=([\s\S]*)$/.exec(value);
+          if (!pair) {
+            throw _usageError('--%s needs a name=value pair', name);
+          }
+          args[name][pair[1]] = pair[2];
+          break;
+        default:
+          args[name] = value;
+        }
+      }
+    }
+  }
+  return args;
+}
+
+/**
+ * Reads a JSON file.
+ * @param {string} file Path of file
+ * @param {*} fallback What to resolve with if there's no such file
+ * @returns {Promise} Parsed contents
+ */
+function _readJson(file, fallback) {
+  return Q.nfcall(fs.readFile, file, 'utf8')
+    .then(JSON.parse, function(err) {
+      if (err.code === 'ENOENT' && !_.isUndefined(fallback)) {
+        return fallback;
+      }
+      throw err;
+    });
+}
+
+/**
+ * Loads the client configuration: the configuration file, overridden by
+ * environment variables.
+ * @param {Object} env Environment variables
+ * @param {string} cwd Working directory
+ * @returns {Promise.<Object>} Client options
+ */
+function loadConfig(env, cwd) {
+  var file = env.NODE_FOGBUGZ_CONFIG;
+  var config = file ? _readJson(path.resolve(cwd, file)) :
+    _readJson(path.join(cwd, 'fogbugz.conf.json'), {});
+  return config.then(function(conf) {
+    conf = _.clone(conf);
+    _.each(ENV_CONFIG, function(option, name) {
+      if (env[name]) {
+        conf[option] = env[name];
+      }
+    });
+    if (!conf.host) {
+      throw new Error('no host configured; set FOGBUGZ_HOST, or ' +
+        'NODE_FOGBUGZ_CONFIG to a configuration file');
+    }
+    return conf;
+  });
+}
+
+/**
+ * Turns a value into a table cell.
+ * @param {*} value Value
+ * @returns {string} Text
+ */
+function _cell(value) {
+  if (_.isNull(value) || _.isUndefined(value)) {
+    return '';
+  }
+  if (_.isDate(value)) {
+    return value.toISOString();
+  }
+  if (_.isArray(value)) {
+    return value.join(', ');
+  }
+  return String(value).replace(/\s+/g, ' ');
+}
+
+/**
+ * Lays out rows as a table with a header.
+ * @param {Array.<string>} headers Names of columns
+ * @param {Array.<Array>} rows Rows, each an array of values
+ * @returns {string} Table
+ */
+function _table(headers, rows) {
+  var cells = [headers].concat(rows.map(function(row) {
+    return row.map(_cell);
+  }));
+  var widths = headers.map(function(header, i) {
+    return _.max(cells.map(function(row) {
+      return row[i].length;
+    }));
+  });
+  return cells.map(function(row) {
+    return row.map(function(cell, i) {
+      return i === row.length - 1 ? cell :
+        cell + new Array(widths[i] - cell.length + 1).join(' ');
+    }).join('  ');
+  }).join('\n') + '\n';
+}
+
+/**
+ * Returns what to output of a Case, its ID first.
+ * @param {Case} kase Case
+ * @returns {Object} Plain object
+ */
+function _plainCase(kase) {
+  return _.pick(kase, ['id'].concat(_.without(_.keys(kase), 'id', '_raw')));
+}
+
+/**
+ * Writes records in the chosen format.
+ * @param {Object} io Where to write, see run()
+ * @param {string} fmt Output format
+ * @param {Array.<Object>} records Records
+ * @param {Array.<string>} headers Properties shown in a table
+ */
+function _output(io, fmt, records, headers) {
+  if (fmt === 'json') {
+    io.stdout.write(JSON.stringify(records, null, 2) + '\n');
+  } else if (fmt === 'ndjson') {
+    records.forEach(function(record) {
+      io.stdout.write(JSON.stringify(record) + '\n');
+    });
+  } else if (records.length) {
+    io.stdout.write(_table(headers, records.map(function(record) {
+      return headers.map(function(header) {
+        return record[header];
+      });
+    })));
+  }
+}
+
+/**
+ * Writes a single Case in the chosen format; as a table, it's one row per
+ * property.
+ * @param {Object} io Where to write, see run()
+ * @param {string} fmt Output format
+ * @param {Case} kase Case
+ */
+function _outputCase(io, fmt, kase) {
+  var record = _plainCase(kase);
+  if (fmt === 'table') {
+    io.stdout.write(_table(['property', 'value'],
+      _.without(_.keys(record), 'events').map(function(name) {
+        return [name, record[name]];
+      })));
+  } else {
+    io.stdout.write(JSON.stringify(record, null, fmt === 'json' ? 2 : 0) +
+      '\n');
+  }
+}
+
+/**
+ * Returns the properties of Cases shown in a table.
+ * @param {array} [cols] Columns pulled
+ * @returns {Array.<string>} Property names
+ */
+function _caseHeaders(cols) {
+  return ['id'].concat((cols || ['sTitle', 'sStatus', 'sPersonAssignedTo'])
+    .map(columns.propertyName));
+}
+
+/**
+ * Commands, by name.  Each is called with the Client, the parsed arguments
+ * and where to write, and returns a promise.
+ * @type {Object.<string, Function>}
+ */
+COMMANDS = {
+  logon: function logon(client, args, io) {
+    return Q.resolve(client.conf.tokenStore.get(tokens.keyOf(client.conf)))
+      .then(function(token) {
+        if (!token) {
+          return null;
+        }
+        // end the old session, not just forget it; it may be over already
+        return client.setToken(token)
+          .then(function() {
+            return client.logoff();
+          })
+          .catch(_.noop);
+      })
+      .then(function() {
+        return client.forgetToken();
+      })
+      .then(function() {
+        return client.logon();
+      })
+      .then(function() {
+        io.stdout.write(format('Logged on to %s\n', client.conf.host));
+      });
+  },
+
+  search: function search(client, args, io) {
+    var query = args._[1];
+    if (_.isUndefined(query)) {
+      throw _usageError('search needs a query');
+    }
+    return client.search(query, args.cols, args.max)
+      .then(function(cases) {
+        return [].concat(cases);
+      }, function(err) {
+        if (err instanceof fogbugz.CaseNotFoundError) {
+          return [];
+        }
+        throw err;
+      })
+      .then(function(cases) {
+        _output(io, args.format, cases.map(_plainCase),
+          _caseHeaders(args.cols));
+      });
+  },
+
+  show: function show(client, args, io) {
+    var id = args._[1];
+    if (_.isUndefined(id)) {
+      throw _usageError('show needs a case ID');
+    }
+    return client.getBug(id, args.cols)
+      .then(function(kase) {
+        _outputCase(io, args.format, kase);
+      });
+  },
+
+  edit: function edit(client, args, io) {
+    var id = args._[1];
+    var params = _.clone(args.set);
+    if (_.isUndefined(id)) {
+      throw _usageError('edit needs a case ID');
+    }
+    if (!_.isUndefined(args.comment)) {
+      params.sEvent = args.comment;
+    }
+    if (_.isEmpty(params)) {
+      throw _usageError('edit needs --set or --comment');
+    }
+    return client.editBug(id, params, args.cols)
+      .then(function(kase) {
+        _outputCase(io, args.format, kase);
+      });
+  },
+
+  filters: function filters(client, args, io) {
+    var used = args.use ? client.setCurrentFilter(args.use) : Q.resolve();
+    return used
+      .then(function() {
+        return client.listFilters();
+      })
+      .then(function(list) {
+        _output(io, args.format, list.map(function(filter) {
+          return _.pick(filter, 'id', 'name', 'type', 'current');
+        }), ['id', 'name', 'type', 'current']);
+      });
+  }
+};
+
+/**
+ * Runs the command.
+ * @param {Array.<string>} argv Arguments, without `node` and the script
+ * @param {Object} [io] Environment of the command; defaults to the process'
+ * @param {stream.Writable} [io.stdout] Where output goes
+ * @param {stream.Writable} [io.stderr] Where errors go
+ * @param {Object} [io.env] Environment variables
+ * @param {string} [io.cwd] Working directory
+ * @returns {Promise.<number>} Exit code: 0 on success, 1 on failure, 2 if
+ *     the command was misused
+ */
+function run(argv, io) {
+  var args;
+  io = _.defaults({}, io, {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    env: process.env,
+    cwd: process.cwd()
+  });
+
+  return Q.fcall(function() {
+    args = parseArgs(argv);
+    if (args.help || !args._.length) {
+      io.stdout.write(USAGE + '\n');
+      return;
+    }
+    args.format = args.format || 'table';
+    if (!_.has(COMMANDS, args._[0])) {
+      throw _usageError('unknown command "%s"', args._[0]);
+    }
+    if (!_.contains(FORMATS, args.format)) {
+      throw _usageError('unknown format "%s"', args.format);
+    }
+    return loadConfig(io.env, io.cwd)
+      .then(function(conf) {
+        var command = args._[0];
+        var client = fogbugz.createClient(_.extend({
+          tokenStore: new fogbugz.FileTokenStore(io.env.FOGBUGZ_TOKEN_FILE,
+            io.env.HOME || io.env.USERPROFILE)
+        }, conf));
+        return (command === 'logon' ? Q.resolve() : client.logon())
+          .then(function() {
+            return COMMANDS[command](client, args, io);
+          });
+      });
+  })
+    .then(function() {
+      return 0;
+    }, function(err) {
+      io.stderr.write(format('fogbugz: %s\n', err.message));
+      if (err.usage) {
+        io.stderr.write(USAGE + '\n');
+        return 2;
+      }
+      return 1;
+    });
+}
+
+exports.parseArgs = parseArgs;
+exports.loadConfig = loadConfig;
+exports.run = run;
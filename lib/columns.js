@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/columns
+ * @overview Knows what the columns FogBugz returns for a case mean.  Column
+ * names follow a Hungarian notation: the prefix says what type the value
+ * is, e.g. `dtOpened` is a date and `ixPriority` an ID.  Values are coerced
+ * accordingly, and common columns get friendlier names.
+ */
+var _ = require('lodash-node');
+
+/**
+ * Column name prefixes, and the type of value each denotes.
+ * @type {Object.<string, string>}
+ */
+var PREFIXES = {
+  s: 'string',
+  ix: 'integer',
+  n: 'integer',
+  c: 'integer',
+  dt: 'date',
+  f: 'boolean',
+  hrs: 'float',
+  dbl: 'float'
+};
+
+/**
+ * Matches the prefix of a column name, which is followed by a capital.
+ * @type {RegExp}
+ */
+var PREFIX_REGEXP = new RegExp('^(' + _.keys(PREFIXES).join('|') +
+  ')(?=[A-Z])');
+
+/**
+ * Friendly property names of common columns, for Cases as well as the
+ * entities listed by Client.listProjects() and friends.
+ * @type {Object.<string, string>}
+ */
+var FRIENDLY_NAMES = {
+  ixBugParent: 'parentId',
+  ixBugChildren: 'childIds',
+  ixRelatedBugs: 'relatedBugIds',
+  fOpen: 'open',
+  sTitle: 'title',
+  sOriginalTitle: 'originalTitle',
+  sLatestTextSummary: 'latestTextSummary',
+  ixBugEventLatestText: 'latestTextEventId',
+  ixProject: 'projectId',
+  sProject: 'project',
+  ixArea: 'areaId',
+  sArea: 'area',
+  ixPersonAssignedTo: 'assignedToId',
+  sPersonAssignedTo: 'assignedTo',
+  sEmailAssignedTo: 'assignedToEmail',
+  ixPersonOpenedBy: 'openedById',
+  ixPersonResolvedBy: 'resolvedById',
+  ixPersonClosedBy: 'closedById',
+  ixPersonLastEditedBy: 'lastEditedById',
+  ixStatus: 'statusId',
+  sStatus: 'status',
+  ixPriority: 'priorityId',
+  sPriority: 'priority',
+  ixFixFor: 'fixForId',
+  sFixFor: 'fixFor',
+  dtFixFor: 'fixForDate',
+  sVersion: 'version',
+  sComputer: 'computer',
+  hrsOrigEst: 'originalEstimate',
+  hrsCurrEst: 'currentEstimate',
+  hrsElapsed: 'elapsed',
+  dblStoryPts: 'storyPoints',
+  sCustomerEmail: 'customerEmail',
+  ixMailbox: 'mailboxId',
+  ixCategory: 'categoryId',
+  sCategory: 'category',
+  dtOpened: 'opened',
+  dtResolved: 'resolved',
+  dtClosed: 'closed',
+  dtDue: 'due',
+  dtLastUpdated: 'lastUpdated',
+  ixBugEventLatest: 'latestEventId',
+  ixBugEventLastView: 'lastViewedEventId',
+  dtLastView: 'lastViewed',
+  fReplied: 'replied',
+  fForwarded: 'forwarded',
+  fSubscribed: 'subscribed',
+  sTicket: 'ticket',
+  ixDiscussTopic: 'discussTopicId',
+  sReleaseNotes: 'releaseNotes',
+  sScoutDescription: 'scoutDescription',
+  sEmail: 'email',
+  sPhone: 'phone',
+  ixPersonOwner: 'ownerId',
+  sPersonOwner: 'owner',
+  fDeleted: 'deleted'
+};
+
+/**
+ * Columns holding comma-separated lists of IDs.
+ * @type {Array.<string>}
+ */
+var LIST_COLUMNS = ['ixBugChildren', 'ixRelatedBugs'];
+
+/**
+ * Returns the type of value a column holds, going by its prefix.
+ * @param {string} column Column name
+ * @returns {string} `string`, `integer`, `float`, `date` or `boolean`; for
+ *     columns without a known prefix, `string`
+ */
+function typeOf(column) {
+  var match = PREFIX_REGEXP.exec(column);
+  return match ? PREFIXES[match[1]] : 'string';
+}
+
+/**
+ * Returns the name of the Case property a column goes into.
+ * @param {string} column Column name
+ * @returns {string} Friendly name, or the column name if it has none
+ */
+function propertyName(column) {
+  return FRIENDLY_NAMES[column] || column;
+}
+
+/**
+ * Coerces a single text value.
+ * @param {string} type See typeOf()
+ * @param {string} text Text sent by the server
+ * @returns {(string|number|Date|boolean|null)} Value; `null` if empty
+ */
+function _coerceText(type, text) {
+  var number;
+  text = text.trim();
+  if (type === 'string') {
+    return text;
+  }
+  if (!text) {
+    return null;
+  }
+  switch (type) {
+  case 'integer':
+    number = parseInt(text, 10);
+    return isNaN(number) ? text : number;
+  case 'float':
+    number = parseFloat(text);
+    return isNaN(number) ? text : number;
+  case 'date':
+    return new Date(text);
+  case 'boolean':
+    return text === 'true';
+  default:
+    return text;
+  }
+}
+
+/**
+ * Returns the text of an xml2js node.
+ * @param {(string|Object)} node Node
+ * @returns {string} Text
+ */
+function _text(node) {
+  if (_.isString(node)) {
+    return node;
+  }
+  return node && _.isString(node._) ? node._ : '';
+}
+
+/**
+ * Coerces the value of a column, as parsed by xml2js, to a proper JS type.
+ * Elements holding a list of child elements, like `<tags><tag>...`, become
+ * arrays.
+ * @param {string} column Column name
+ * @param {Array} value xml2js representation of the column's element(s)
+ * @returns {*} Value
+ */
+function coerce(column, value) {
+  var type = typeOf(column);
+  var node = _.isArray(value) ? value[0] : value;
+  var children;
+  if (_.contains(LIST_COLUMNS, column)) {
+    return _text(node)
+      .split(',')
+      .filter(function(item) {
+        return item.trim();
+      })
+      .map(function(item) {
+        return _coerceText(type, item);
+      });
+  }
+  if (_.isArray(value) && value.length > 1) {
+    return value.map(function(item) {
+      return _coerceText(type, _text(item));
+    });
+  }
+  if (_.isPlainObject(node) && !_.has(node, '_')) {
+    children = _.values(_.omit(node, '$'));
+    if (children.length === 1 && _.isArray(children[0])) {
+      return children[0].map(function(item) {
+        return _coerceText('string', _text(item));
+      });
+    }
+    return node;
+  }
+  return _coerceText(type, _text(node));
+}
+
+exports.PREFIXES = PREFIXES;
+exports.FRIENDLY_NAMES = FRIENDLY_NAMES;
+exports.typeOf = typeOf;
+exports.propertyName = propertyName;
+exports.coerce = coerce;
@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/errors
+ * @overview Error classes for everything which can go wrong while talking to
+ * FogBugz.  Errors reported by the API itself carry the numeric `code` sent
+ * by the server.
+ */
+var inherits = require('util').inherits;
+var _ = require('lodash-node');
+
+/**
+ * Error codes as documented by the FogBugz XML API.
+ * @type {Object.<string, number>}
+ */
+var CODES = {
+  notInitialized: 0,
+  logonFailed: 1,
+  ambiguousLogon: 2,
+  notLoggedOn: 3,
+  missingArgument: 4,
+  caseNotFound: 5,
+  operationNotPermitted: 6
+};
+
+/**
+ * Codes of network errors which are worth another try.
+ * @type {Array.<string>}
+ */
+var TRANSIENT_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE'
+];
+
+/**
+ * Codes of network errors which mean the request never reached the server,
+ * so even a command which changes something can safely be sent again.
+ * @type {Array.<string>}
+ */
+var UNSENT_CODES = [
+  'ECONNREFUSED',
+  'EAI_AGAIN'
+];
+
+/**
+ * Base class of every error this module rejects with.
+ * @class FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] Details about the failure
+ * @param {number} [details.code] Error code sent by the server
+ * @param {string} [details.command] API command which failed
+ * @param {string} [details.body] Raw body of the response
+ * @param {*} [details.cause] Underlying error, if any
+ */
+function FogBugzError(message, details) {
+  details = details || {};
+  Error.call(this, message);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.message = message;
+  this.code = details.code;
+  this.command = details.command;
+  this.body = details.body;
+  this.cause = details.cause;
+}
+inherits(FogBugzError, Error);
+FogBugzError.prototype.name = 'FogBugzError';
+
+/**
+ * The server refused the username and password (codes 1 and 2).
+ * @class AuthenticationError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function AuthenticationError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(AuthenticationError, FogBugzError);
+AuthenticationError.prototype.name = 'AuthenticationError';
+
+/**
+ * There is no token, or the server no longer accepts it (code 3).
+ * @class NotLoggedOnError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function NotLoggedOnError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(NotLoggedOnError, FogBugzError);
+NotLoggedOnError.prototype.name = 'NotLoggedOnError';
+
+/**
+ * A required argument was missing from the command (code 4).
+ * @class MissingArgumentError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function MissingArgumentError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(MissingArgumentError, FogBugzError);
+MissingArgumentError.prototype.name = 'MissingArgumentError';
+
+/**
+ * The requested case does not exist (code 5), or a search came up empty.
+ * @class CaseNotFoundError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function CaseNotFoundError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(CaseNotFoundError, FogBugzError);
+CaseNotFoundError.prototype.name = 'CaseNotFoundError';
+
+/**
+ * The case is in a state which does not allow the operation (code 6).
+ * @class OperationNotPermittedError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function OperationNotPermittedError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(OperationNotPermittedError, FogBugzError);
+OperationNotPermittedError.prototype.name = 'OperationNotPermittedError';
+
+/**
+ * A name could not be resolved to an ID, because nothing or more than one
+ * thing goes by it.
+ * @class LookupError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function LookupError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(LookupError, FogBugzError);
+LookupError.prototype.name = 'LookupError';
+
+/**
+ * The server's response could not be understood.
+ * @class XmlParseError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function XmlParseError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(XmlParseError, FogBugzError);
+XmlParseError.prototype.name = 'XmlParseError';
+
+/**
+ * The request never got a response from the server.
+ * @class TransportError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function TransportError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(TransportError, FogBugzError);
+TransportError.prototype.name = 'TransportError';
+
+/**
+ * The server's API is too old for a command, or too new for this module.
+ * @class UnsupportedVersionError
+ * @extends FogBugzError
+ * @constructor
+ * @param {string} message Error message
+ * @param {Object} [details] See FogBugzError
+ */
+function UnsupportedVersionError(message, details) {
+  FogBugzError.call(this, message, details);
+}
+inherits(UnsupportedVersionError, FogBugzError);
+UnsupportedVersionError.prototype.name = 'UnsupportedVersionError';
+
+/**
+ * Creates an error from an `<error>` element sent by the server.
+ * @param {number|string} [code] Value of the element's `code` attribute;
+ *     if it's missing, so is the error's `code`
+ * @param {string} message Text of the element
+ * @param {Object} [details] See FogBugzError
+ * @returns {FogBugzError} Error of the class matching `code`
+ */
+function fromCode(code, message, details) {
+  var number = parseInt(code, 10);
+  details = details || {};
+  if (!isNaN(number)) {
+    details.code = number;
+  }
+  switch (details.code) {
+  case CODES.logonFailed:
+  case CODES.ambiguousLogon:
+    return new AuthenticationError(message, details);
+  case CODES.notLoggedOn:
+    return new NotLoggedOnError(message, details);
+  case CODES.missingArgument:
+    return new MissingArgumentError(message, details);
+  case CODES.caseNotFound:
+    return new CaseNotFoundError(message, details);
+  case CODES.operationNotPermitted:
+    return new OperationNotPermittedError(message, details);
+  default:
+    return new FogBugzError(message, details);
+  }
+}
+
+/**
+ * Wraps an error from the HTTP layer.  A FogBugzError, e.g. one refusing to
+ * send a command at all, is passed along as it is.
+ * @param {*} err Whatever `request` called back with
+ * @param {string} command API command which failed
+ * @returns {FogBugzError} Wrapped error
+ */
+function fromTransport(err, command) {
+  if (err instanceof FogBugzError) {
+    return err;
+  }
+  return new TransportError(err && err.message || String(err), {
+    command: command,
+    cause: err
+  });
+}
+
+/**
+ * Whether an error is a network failure which may go away if we try again.
+ * Unless the command only reads, only failures which happened before the
+ * request reached the server count, lest it do the same thing twice.
+ * @param {*} err Error
+ * @param {boolean} [readOnly] Whether the failed command only reads
+ * @returns {boolean} True if it's worth retrying
+ */
+function isTransient(err, readOnly) {
+  return err instanceof TransportError && Boolean(err.cause) &&
+    _.contains(readOnly ? TRANSIENT_CODES : UNSENT_CODES, err.cause.code);
+}
+
+exports.CODES = CODES;
+exports.FogBugzError = FogBugzError;
+exports.AuthenticationError = AuthenticationError;
+exports.NotLoggedOnError = NotLoggedOnError;
+exports.MissingArgumentError = MissingArgumentError;
+exports.CaseNotFoundError = CaseNotFoundError;
+exports.OperationNotPermittedError = OperationNotPermittedError;
+exports.LookupError = LookupError;
+exports.XmlParseError = XmlParseError;
+exports.TransportError = TransportError;
+exports.UnsupportedVersionError = UnsupportedVersionError;
+exports.fromCode = fromCode;
+exports.fromTransport = fromTransport;
+exports.isTransient = isTransient;
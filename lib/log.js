@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/log
+ * @overview Diagnostics for Clients: a `DEBUG=fogbugz` style logger, and
+ * redaction of the secrets (tokens and passwords) which would otherwise
+ * show up in what Clients log and emit.
+ */
+var format = require('util').format;
+var _ = require('lodash-node');
+
+/**
+ * What secrets are replaced with.
+ * @type {string}
+ */
+var REDACTED = '[redacted]';
+
+/**
+ * Parameters holding secrets.
+ * @type {Array.<string>}
+ */
+var SECRET_PARAMS = ['token', 'password'];
+
+/**
+ * Secrets in URLs and form-encoded bodies, e.g. `token=abc`.
+ * @type {RegExp}
+ */
+var SECRET_PARAM_REGEXP = /(^|[?&;\s])(token|password)=[^&;\s]*/g;
+
+/**
+ * Secrets in XML, e.g. `<token><![CDATA[abc]]></token>`.
+ * @type {RegExp}
+ */
+var SECRET_ELEMENT_REGEXP = /<(token|password)>[\s\S]*?<\/\1>/g;
+
+/**
+ * Redacts secrets.  In text (a URL, or a request or response body),
+ * `token=...` and `password=...` parameters and `<token>` elements are
+ * redacted; in command parameters, the `token` and `password` parameters.
+ * Parameters which aren't text, e.g. attachments, are replaced with
+ * `[file]`.
+ * @param {(string|Object)} value Text, or command parameters
+ * @returns {(string|Object)} Redacted copy
+ */
+function redact(value) {
+  if (_.isString(value)) {
+    return value
+      .replace(SECRET_PARAM_REGEXP, '$1$2=' + REDACTED)
+      .replace(SECRET_ELEMENT_REGEXP, '<$1>' + REDACTED + '</$1>');
+  }
+  return _.mapValues(value, function(param, name) {
+    if (_.contains(SECRET_PARAMS, name)) {
+      return REDACTED;
+    }
+    if (_.isString(param)) {
+      return redact(param);
+    }
+    return _.isNumber(param) || _.isBoolean(param) ? param : '[file]';
+  });
+}
+
+/**
+ * Whether a namespace is enabled by the value of `DEBUG`: a list of
+ * namespaces separated by commas or spaces, where `*` is a wildcard and a
+ * leading `-` disables, e.g. `fogbugz,-fogbugz:cli` or `*`.
+ * @param {string} namespace Namespace, e.g. `fogbugz`
+ * @param {string} [patterns] Value of `DEBUG`
+ * @returns {boolean} True if enabled
+ */
+function enabled(namespace, patterns) {
+  var result = false;
+  String(patterns || '').split(/[\s,]+/).forEach(function(pattern) {
+    var negated = pattern.charAt(0) === '-';
+    var regexp;
+    if (negated) {
+      pattern = pattern.slice(1);
+    }
+    if (!pattern) {
+      return;
+    }
+    regexp = new RegExp('^' + pattern.split('*').map(function(part) {
+      return part.replace(/[.?+^$[\]\\(){}|-]/g, '\\$&');
+    }).join('.*') + '$');
+    if (regexp.test(namespace)) {
+      result = !negated;
+    }
+  });
+  return result;
+}
+
+/**
+ * Creates a logger writing to stderr, prefixed with its namespace, if the
+ * `DEBUG` environment variable enables the namespace; otherwise, one which
+ * does nothing.  Loggers take the same arguments as util.format().
+ * @param {string} namespace Namespace, e.g. `fogbugz`
+ * @param {Object} [env=process.env] Environment
+ * @returns {Function} Logger; its `enabled` property says whether it logs
+ */
+function debug(namespace, env) {
+  var on = enabled(namespace, (env || process.env).DEBUG);
+
+  function log() {
+    if (on) {
+      process.stderr.write(format('%s %s\n', namespace,
+        format.apply(null, arguments)));
+    }
+  }
+
+  log.enabled = on;
+  return log;
+}
+
+exports.REDACTED = REDACTED;
+exports.redact = redact;
+exports.enabled = enabled;
+exports.debug = debug;
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/query
+ * @overview Builds FogBugz search queries, so values are quoted properly
+ * instead of by hand.  A query is a list of terms, all of which must match;
+ * `or()` and `not()` group and negate terms.
+ */
+var format = require('util').format;
+var _ = require('lodash-node');
+
+/**
+ * Query methods searching a single axis, and the axis each searches.
+ * @type {Object.<string, string>}
+ */
+var AXES = {
+  assignedTo: 'assignedto',
+  openedBy: 'openedby',
+  resolvedBy: 'resolvedby',
+  closedBy: 'closedby',
+  editedBy: 'editedby',
+  status: 'status',
+  project: 'project',
+  area: 'area',
+  category: 'category',
+  priority: 'priority',
+  milestone: 'milestone',
+  tag: 'tag',
+  title: 'title',
+  computer: 'computer',
+  version: 'version',
+  correspondent: 'correspondent'
+};
+
+/**
+ * Date axes; each gets a `<axis>Within()` and a `<axis>Between()` method.
+ * @type {Array.<string>}
+ */
+var DATE_AXES = ['opened', 'edited', 'resolved', 'closed', 'due'];
+
+/**
+ * Values which can go unquoted.
+ * @type {RegExp}
+ */
+var BARE_REGEXP = /^[A-Za-z0-9_.@]+$/;
+
+/**
+ * Words with a meaning of their own in a query.
+ * @type {Array.<string>}
+ */
+var KEYWORDS = ['or', 'and', 'not'];
+
+/**
+ * Turns a Date into what FogBugz understands, e.g. `2015-05-06`.
+ * @param {Date} date Date
+ * @returns {string} Date
+ */
+function _formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Quotes a value, if need be.  FogBugz has no way to escape a double quote
+ * inside a quoted value, so values containing one are refused rather than
+ * searched for wrongly.
+ * @param {(string|number|Date)} value Value
+ * @returns {string} Value, quoted if need be
+ */
+function quote(value) {
+  var text = _.isDate(value) ? _formatDate(value) : String(value);
+  if (text.indexOf('"') !== -1) {
+    throw new Error(format('cannot search for %s; it contains a double ' +
+      'quote', JSON.stringify(text)));
+  }
+  if (BARE_REGEXP.test(text) &&
+    !_.contains(KEYWORDS, text.toLowerCase())) {
+    return text;
+  }
+  return '"' + text + '"';
+}
+
+/**
+ * Query pseudoclass; see fogbugz.query().  Queries are immutable: every
+ * method returns a new Query, so one can serve as the base of others.
+ * @class Query
+ * @constructor
+ * @param {Array.<string>} [terms] Terms of the query
+ */
+function Query(terms) {
+  this._terms = terms || [];
+}
+
+/**
+ * Returns a Query as a term of another, grouped if it has more than one
+ * term.
+ * @param {(Query|string)} query Query, or query string
+ * @returns {string} Term
+ */
+function _group(query) {
+  var text;
+  if (query instanceof Query) {
+    return query._terms.length === 1 ? query._terms[0] :
+      '(' + query.toString() + ')';
+  }
+  text = String(query).trim();
+  return /\s/.test(text) ? '(' + text + ')' : text;
+}
+
+/**
+ * Returns a new Query, with another term.
+ * @method _add
+ * @private
+ * @param {string} term Term
+ * @returns {Query} New Query
+ */
+Query.prototype._add = function _add(term) {
+  return new Query(this._terms.concat(term));
+};
+
+/**
+ * Matches cases whose `axis` is `value`, or, given an array, any of the
+ * values in it.
+ * @method where
+ * @param {string} axis Search axis, e.g. `status`
+ * @param {(string|number|Date|Array)} value Value(s)
+ * @returns {Query} New Query
+ */
+Query.prototype.where = function where(axis, value) {
+  if (_.isArray(value)) {
+    return this.or.apply(this, value.map(function(item) {
+      return new Query().where(axis, item);
+    }));
+  }
+  return this._add(axis + ':' + quote(value));
+};
+
+/**
+ * Matches cases containing some text anywhere.
+ * @method text
+ * @param {string} words Text; more than one word is searched for as a phrase
+ * @returns {Query} New Query
+ */
+Query.prototype.text = function text(words) {
+  return this._add(quote(words));
+};
+
+/**
+ * Matches cases by ID.
+ * @method ids
+ * @param {Array.<(string|number)>} list IDs of cases
+ * @returns {Query} New Query
+ */
+Query.prototype.ids = function ids(list) {
+  return this._add('ixBug:' + list.map(function(id) {
+    var number = parseInt(id, 10);
+    if (isNaN(number)) {
+      throw new Error(format('%s is not a case ID', JSON.stringify(id)));
+    }
+    return number;
+  }).join(','));
+};
+
+/**
+ * Matches cases whose `axis` is between `from` and `to`, inclusive.
+ * @method between
+ * @param {string} axis Search axis, e.g. `opened` or `ixBug`
+ * @param {?(string|number|Date)} from Start of the range; `null` for none
+ * @param {?(string|number|Date)} [to] End of the range; omit for none
+ * @returns {Query} New Query
+ */
+Query.prototype.between = function between(axis, from, to) {
+  function bound(value) {
+    if (_.isNull(value) || _.isUndefined(value)) {
+      return '';
+    }
+    return _.isDate(value) ? _formatDate(value) : String(value);
+  }
+
+  return this.where(axis, bound(from) + '..' + bound(to));
+};
+
+/**
+ * Matches cases whose date `axis` is within `span` of now, e.g. `7d` for
+ * the last seven days.
+ * @method within
+ * @param {string} axis Search axis, e.g. `opened`
+ * @param {(string|number)} span Span of time, as FogBugz puts it: a
+ *     number followed by `h`, `d`, `w`, `m` or `y`; a bare number is days
+ * @returns {Query} New Query
+ */
+Query.prototype.within = function within(axis, span) {
+  return this.between(axis, '-' + (_.isNumber(span) ? span + 'd' : span));
+};
+
+/**
+ * Matches cases which match any of the given queries.
+ * @method or
+ * @param {...(Query|string)} query Queries, or query strings
+ * @returns {Query} New Query
+ */
+Query.prototype.or = function or() {
+  var terms = _.map(arguments, _group);
+  if (terms.length < 2) {
+    return terms.length ? this._add(terms[0]) : this;
+  }
+  return this._add('(' + terms.join(' OR ') + ')');
+};
+
+/**
+ * Matches cases which don't match the given query.
+ * @method not
+ * @param {(Query|string)} query Query, or query string
+ * @returns {Query} New Query
+ */
+Query.prototype.not = function not(query) {
+  return this._add('-' + _group(query));
+};
+
+/**
+ * Adds a query string as it is, for what this class doesn't cover.
+ * @method raw
+ * @param {string} query Query string
+ * @returns {Query} New Query
+ */
+Query.prototype.raw = function raw(query) {
+  return this._add(String(query));
+};
+
+/**
+ * Returns the query string, for search(), searchAll() or watch().
+ * @method toString
+ * @returns {string} Query string
+ */
+Query.prototype.toString = function toString() {
+  return this._terms.join(' ');
+};
+
+_.each(AXES, function(axis, method) {
+  Query.prototype[method] = function(value) {
+    return this.where(axis, value);
+  };
+});
+
+DATE_AXES.forEach(function(axis) {
+  Query.prototype[axis + 'Within'] = function(span) {
+    return this.within(axis, span);
+  };
+  Query.prototype[axis + 'Between'] = function(from, to) {
+    return this.between(axis, from, to);
+  };
+});
+
+exports.AXES = AXES;
+exports.quote = quote;
+exports.Query = Query;
@@ -0,0 +1,753 @@
+'use strict';
+
+/**
+ * @module fogbugz/testing
+ * @overview A local stand-in for FogBugz, for testing code which uses this
+ * module without a network.  It serves `api.asp` (and `api.xml`) over
+ * HTTP, keeping cases in memory, seeded from fixtures, and answers with the
+ * XML (and error codes) FogBugz would.  It knows `logon`, `logoff`,
+ * `viewPerson`, `listFilters`, `setCurrentFilter`, `search`, `new`, `edit`
+ * and the workflow commands (`assign`, `resolve`, `reopen`, `reactivate`,
+ * `close` and `reply`).
+ */
+var fs = require('fs');
+var http = require('http');
+var url = require('url');
+var crypto = require('crypto');
+var querystring = require('querystring');
+var format = require('util').format;
+var Q = require('q');
+var _ = require('lodash-node');
+var fogbugz = require('../../index');
+var columns = require('../columns');
+var errors = require('../errors');
+var search = require('./search');
+
+var COMMANDS;
+
+/**
+ * Path of the API endpoint.
+ * @type {string}
+ */
+var API_PATH = '/api.asp';
+
+/**
+ * Path of the document describing the API.
+ * @type {string}
+ */
+var API_XML_PATH = '/api.xml';
+
+/**
+ * Largest request body we read, in bytes.
+ * @type {number}
+ */
+var MAX_BODY = 10485760;
+
+/**
+ * Fixtures used if none are given: one user, two filters, and no cases.
+ * @type {Object}
+ */
+var DEFAULT_FIXTURES = {
+  users: [{
+    ixPerson: 1,
+    sFullName: 'Test User',
+    sEmail: 'test@example.com',
+    password: 'password'
+  }],
+  filters: [
+    {sFilter: 'ez', name: 'My Cases', type: 'builtin'},
+    {sFilter: 'inbox', name: 'Inbox', type: 'builtin'}
+  ],
+  cases: []
+};
+
+/**
+ * Operations a case permits, by state.
+ * @type {Object.<string, Array.<string>>}
+ */
+var OPERATIONS = {
+  active: ['edit', 'assign', 'resolve', 'email', 'remind', 'reply'],
+  resolved: ['edit', 'assign', 'reactivate', 'close', 'email', 'remind',
+    'reply'],
+  closed: ['reopen', 'email', 'remind']
+};
+
+/**
+ * Verbs of the events case commands add.
+ * @type {Object.<string, string>}
+ */
+var VERBS = {
+  new: 'Opened',
+  edit: 'Edited',
+  assign: 'Assigned',
+  resolve: 'Resolved',
+  reopen: 'Reopened',
+  reactivate: 'Reactivated',
+  close: 'Closed',
+  reply: 'Replied'
+};
+
+/**
+ * Parameters of case commands which aren't columns to set.
+ * @type {Array.<string>}
+ */
+var NOT_COLUMNS = ['cmd', 'token', 'cols', 'ixBug', 'sEvent', 'nFileCount',
+  'ixBugEventLatest', 'sTags'];
+
+/**
+ * Makes an error to answer with.
+ * @param {number} code FogBugz error code; see fogbugz.ERROR_CODES
+ * @param {string} message Message
+ * @returns {Error} Error with that `code`
+ */
+function _fail(code, message) {
+  var err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Wraps text in a CDATA section.
+ * @param {*} value Value
+ * @returns {string} CDATA section
+ */
+function _cdata(value) {
+  return '<![CDATA[' + String(value).replace(/]]>/g, ']]]]><![CDATA[>') +
+    ']]>';
+}
+
+/**
+ * Escapes an attribute value.
+ * @param {*} value Value
+ * @returns {string} Escaped value
+ */
+function _attr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Makes an element.
+ * @param {string} name Name of element
+ * @param {?Object} attrs Attributes
+ * @param {string} [content] Content, as XML
+ * @returns {string} Element
+ */
+function _element(name, attrs, content) {
+  var attributes = _.map(attrs || {}, function(value, attr) {
+    return format(' %s="%s"', attr, _attr(value));
+  }).join('');
+  return format('<%s%s>%s</%s>', name, attributes, content || '', name);
+}
+
+/**
+ * Formats a column value as FogBugz does.
+ * @param {string} column Column name
+ * @param {*} value Value
+ * @returns {string} Content of the column's element, as XML
+ */
+function _columnXml(column, value) {
+  if (_.isNull(value) || _.isUndefined(value) || value === '') {
+    return '';
+  }
+  if (column === 'tags') {
+    return value.map(function(tag) {
+      return _element('tag', null, _cdata(tag));
+    }).join('');
+  }
+  if (_.isArray(value)) {
+    return value.join(',');
+  }
+  if (columns.typeOf(column) === 'date') {
+    return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+  return columns.typeOf(column) === 'string' ? _cdata(value) :
+    _attr(value);
+}
+
+/**
+ * Makes an `<event>` element.
+ * @param {Object} event Event
+ * @returns {string} Element
+ */
+function _eventXml(event) {
+  var attachments = (event.attachments || []).map(function(attachment) {
+    return _element('attachment', null,
+      _element('sFileName', null, _cdata(attachment.sFileName)) +
+      _element('sURL', null, _cdata(attachment.sURL)));
+  }).join('');
+  return _element('event', {
+    ixBugEvent: event.ixBugEvent,
+    ixBug: event.ixBug
+  }, _.map(_.omit(event, 'ixBugEvent', 'ixBug', 'attachments'),
+    function(value, column) {
+      return _element(column, null, _columnXml(column, value));
+    }).join('') + _element('rgAttachments', null, attachments));
+}
+
+/**
+ * Returns the state of a case: `active`, `resolved` or `closed`.
+ * @param {Object} kase Columns of the case
+ * @returns {string} State
+ */
+function _state(kase) {
+  if (kase.fOpen === false) {
+    return 'closed';
+  }
+  return /^resolved/i.test(kase.sStatus || '') ? 'resolved' : 'active';
+}
+
+/**
+ * Makes a `<case>` element with the columns asked for.
+ * @param {Object} kase Columns of the case
+ * @param {Array.<Object>} events Events of the case
+ * @param {Array.<string>} cols Columns asked for
+ * @returns {string} Element
+ */
+function _caseXml(kase, events, cols) {
+  return _element('case', {
+    ixBug: kase.ixBug,
+    operations: OPERATIONS[_state(kase)].join(',')
+  }, _.uniq(cols).map(function(column) {
+    if (column === 'events') {
+      return _element('events', null, events.map(_eventXml).join(''));
+    }
+    return _.has(kase, column) ?
+      _element(column, null, _columnXml(column, kase[column])) : '';
+  }).join(''));
+}
+
+/**
+ * Reads the parameters of a request: its query string, and its body, form-
+ * encoded or multipart.  Files in a multipart body are counted, not kept.
+ * @param {http.IncomingMessage} req Request
+ * @returns {Promise.<Object>} Parameters; files as `_files`, an array of
+ *     their names
+ */
+function _readParams(req) {
+  var dfrd = Q.defer();
+  var chunks = [];
+  var size = 0;
+  req.on('data', function(chunk) {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      req.removeAllListeners('data');
+      dfrd.reject(new Error('request body too large'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function() {
+    var body = Buffer.concat(chunks).toString('binary');
+    var type = req.headers['content-type'] || '';
+    var boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(type);
+    var params = url.parse(req.url, true).query;
+    params._files = [];
+    if (!boundary) {
+      dfrd.resolve(_.extend(params, querystring.parse(body)));
+      return;
+    }
+    body.split('--' + (boundary[1] || boundary[2])).forEach(function(part) {
+      var split = part.indexOf('\r\n\r\n');
+      var head = part.slice(0, split);
+      var name = /name="([^"]*)"/.exec(head);
+      var filename = /filename="([^"]*)"/.exec(head);
+      if (split === -1 || !name) {
+        return;
+      }
+      if (filename) {
+        params._files.push(filename[1]);
+      } else {
+        params[name[1]] = Buffer.from(part.slice(split + 4, -2), 'binary')
+          .toString('utf8');
+      }
+    });
+    dfrd.resolve(params);
+  });
+  req.on('error', dfrd.reject);
+  return dfrd.promise;
+}
+
+/**
+ * FogBugzServer pseudoclass; a local stand-in for FogBugz.  Fixtures are an
+ * object, or the path of a JSON file, with these properties:
+ *
+ * - `users`: people who may log on, with `ixPerson`, `sFullName`, `sEmail`
+ *   and `password`
+ * - `filters`: filters, with `sFilter`, `name`, `type` and optionally a
+ *   `query` they stand for (otherwise, they match every open case)
+ * - `cases`: cases, as columns, e.g. `{ixBug: 1, sTitle: 'Broken',
+ *   sStatus: 'Active', fOpen: true, tags: ['ui']}`, and optionally their
+ *   `events`
+ *
+ * @class FogBugzServer
+ * @constructor
+ * @param {Object} [options] Options
+ * @param {(Object|string)} [options.fixtures] Fixtures, or the path of a
+ *     JSON file holding them
+ * @param {number} [options.apiVersion=8] API version `api.xml` claims
+ * @param {number} [options.minVersion=1] Oldest API version `api.xml`
+ *     claims to support
+ */
+function FogBugzServer(options) {
+  options = options || {};
+  this._fixtures = options.fixtures || DEFAULT_FIXTURES;
+  this.apiVersion = options.apiVersion || fogbugz.API_VERSION;
+  this.minVersion = options.minVersion || 1;
+  this._server = http.createServer(this._handle.bind(this));
+  this._sessions = {};
+  this._cases = {};
+  this._events = {};
+  this._lastCaseId = 0;
+  this._lastEventId = 0;
+  this.users = [];
+  this.filters = [];
+  this.requests = [];
+  this.host = null;
+}
+
+/**
+ * Loads the fixtures again, forgetting every change and session.
+ * @method reset
+ * @returns {Promise} Resolved once loaded
+ */
+FogBugzServer.prototype.reset = function reset() {
+  var server = this;
+  var fixtures = _.isString(this._fixtures) ?
+    Q.nfcall(fs.readFile, this._fixtures, 'utf8').then(JSON.parse) :
+    Q.resolve(this._fixtures);
+  return fixtures.then(function(data) {
+    data = _.cloneDeep(data);
+    server.users = data.users || DEFAULT_FIXTURES.users;
+    server.filters = data.filters || DEFAULT_FIXTURES.filters;
+    server.requests = [];
+    server._sessions = {};
+    server._cases = {};
+    server._events = {};
+    server._lastCaseId = 0;
+    server._lastEventId = 0;
+    (data.cases || []).forEach(server.addCase, server);
+  });
+};
+
+/**
+ * Adds a case to the store.
+ * @method addCase
+ * @param {Object} kase Columns of the case; without an `ixBug`, it gets the
+ *     next free one
+ * @returns {Object} Columns of the case as stored
+ */
+FogBugzServer.prototype.addCase = function addCase(kase) {
+  var events = kase.events;
+  var server = this;
+  var now = new Date().toISOString();
+  kase = _.extend({
+    ixBug: this._lastCaseId + 1,
+    fOpen: true,
+    sStatus: 'Active',
+    dtOpened: now,
+    tags: []
+  }, _.omit(kase, 'events'));
+  kase.ixBug = parseInt(kase.ixBug, 10);
+  this._lastCaseId = Math.max(this._lastCaseId, kase.ixBug);
+  this._cases[kase.ixBug] = kase;
+  this._events[kase.ixBug] = [];
+  (events || [{sVerb: 'Opened', dt: kase.dtOpened}]).forEach(function(event) {
+    server._addEvent(kase, event);
+  });
+  return kase;
+};
+
+/**
+ * Returns the columns of a case in the store.
+ * @method getCase
+ * @param {(string|number)} id ID of case
+ * @returns {?Object} Columns, or `null` if there's no such case
+ */
+FogBugzServer.prototype.getCase = function getCase(id) {
+  return this._cases[id] || null;
+};
+
+/**
+ * Returns the events of a case in the store.
+ * @method getEvents
+ * @param {(string|number)} id ID of case
+ * @returns {Array.<Object>} Events, oldest first
+ */
+FogBugzServer.prototype.getEvents = function getEvents(id) {
+  return this._events[id] || [];
+};
+
+/**
+ * Adds an event to a case, and updates the case's latest event.
+ * @method _addEvent
+ * @private
+ * @param {Object} kase Columns of the case
+ * @param {Object} event Event
+ * @returns {Object} Event as stored
+ */
+FogBugzServer.prototype._addEvent = function _addEvent(kase, event) {
+  event = _.extend({
+    ixBugEvent: this._lastEventId + 1,
+    dt: new Date().toISOString(),
+    s: ''
+  }, event, {ixBug: kase.ixBug});
+  this._lastEventId = Math.max(this._lastEventId, event.ixBugEvent);
+  this._events[kase.ixBug].push(event);
+  kase.ixBugEventLatest = event.ixBugEvent;
+  kase.dtLastUpdated = event.dt;
+  return event;
+};
+
+/**
+ * Starts listening.
+ * @method listen
+ * @param {number} [port=0] Port; by default, any free one
+ * @param {string} [host=127.0.0.1] Host
+ * @returns {Promise.<FogBugzServer>} This server, once listening; its
+ *     `host` is then e.g. `127.0.0.1:49152`
+ */
+FogBugzServer.prototype.listen = function listen(port, host) {
+  var server = this;
+  host = host || '127.0.0.1';
+  return this.reset()
+    .then(function() {
+      var dfrd = Q.defer();
+      server._server.once('error', dfrd.reject);
+      server._server.listen(port || 0, host, function() {
+        server._server.removeListener('error', dfrd.reject);
+        server.host = host + ':' + server._server.address().port;
+        dfrd.resolve(server);
+      });
+      return dfrd.promise;
+    });
+};
+
+/**
+ * Stops listening.
+ * @method close
+ * @returns {Promise} Resolved once closed
+ */
+FogBugzServer.prototype.close = function close() {
+  return Q.ninvoke(this._server, 'close');
+};
+
+/**
+ * Returns the options of a Client talking to this server.
+ * @method clientOptions
+ * @param {string} [email] Email of the user to log on as; defaults to the
+ *     first user
+ * @returns {Object} Client options
+ */
+FogBugzServer.prototype.clientOptions = function clientOptions(email) {
+  var user = email ? _.find(this.users, {sEmail: email}) : this.users[0];
+  return {
+    host: this.host,
+    protocol: 'http',
+    username: user && user.sEmail,
+    password: user && user.password,
+    retries: 0
+  };
+};
+
+/**
+ * Creates a Client talking to this server.
+ * @method createClient
+ * @param {Object} [options] Client options, over clientOptions()
+ * @returns {Client} Client
+ */
+FogBugzServer.prototype.createClient = function createClient(options) {
+  return fogbugz.createClient(_.extend(this.clientOptions(), options));
+};
+
+/**
+ * Answers a request.
+ * @method _handle
+ * @private
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ */
+FogBugzServer.prototype._handle = function _handle(req, res) {
+  var server = this;
+
+  function reply(status, xml) {
+    res.writeHead(status, {'Content-Type': 'text/xml; charset=utf-8'});
+    res.end('<?xml version="1.0" encoding="UTF-8"?>' + xml);
+  }
+
+  switch (url.parse(req.url).pathname) {
+  case API_PATH:
+    break;
+  case API_XML_PATH:
+    reply(200, _element('response', null,
+      _element('version', null, server.apiVersion) +
+      _element('minversion', null, server.minVersion) +
+      _element('url', null, API_PATH.slice(1) + '?')));
+    return;
+  default:
+    reply(404, '<response></response>');
+    return;
+  }
+  _readParams(req)
+    .then(function(params) {
+      var command = COMMANDS[params.cmd];
+      var session = server._sessions[params.token] || null;
+      server.requests.push(_.omit(params, '_files'));
+      if (!command) {
+        throw _fail(errors.CODES.notInitialized,
+          format('Unknown command "%s"', params.cmd));
+      }
+      if (params.cmd !== 'logon' && !session) {
+        throw _fail(errors.CODES.notLoggedOn, 'Not logged on');
+      }
+      return command.call(server, params, session);
+    })
+    .then(function(xml) {
+      reply(200, _element('response', null, xml));
+    }, function(err) {
+      reply(200, _element('response', null,
+        _element('error', {code: _.isNumber(err.code) ? err.code : 0},
+          _cdata(err.message))));
+    })
+    .done();
+};
+
+/**
+ * Returns the cases matching a query, as FogBugz would: by the current
+ * filter, for an empty query.
+ * @method _search
+ * @private
+ * @param {string} query Query
+ * @param {Object} session Session
+ * @returns {Array.<Object>} Columns of matching cases, by ID
+ */
+FogBugzServer.prototype._search = function _search(query, session) {
+  var filter;
+  var matches;
+  if (!String(query || '').trim()) {
+    filter = _.find(this.filters, {sFilter: session.filter}) ||
+      this.filters[0] || {};
+    matches = filter.query ? search.compile(filter.query) : function(kase) {
+      return kase.fOpen !== false;
+    };
+  } else {
+    matches = search.compile(query);
+  }
+  return _.sortBy(_.filter(this._cases, matches), 'ixBug');
+};
+
+/**
+ * Changes a case as a case command would, and adds its event.
+ * @method _change
+ * @private
+ * @param {string} cmd Case command
+ * @param {Object} kase Columns of the case
+ * @param {Object} params Command parameters
+ * @param {Object} session Session
+ */
+FogBugzServer.prototype._change = function _change(cmd, kase, params,
+  session) {
+  var server = this;
+  var now = new Date().toISOString();
+  var changes = [];
+  var event;
+  var assignee;
+
+  function set(column, value) {
+    if (String(kase[column]) !== String(value)) {
+      changes.push(format('%s changed from \'%s\' to \'%s\'.', column,
+        _.isUndefined(kase[column]) ? '' : kase[column], value));
+      kase[column] = value;
+    }
+  }
+
+  _.each(_.omit(params, NOT_COLUMNS), function(value, column) {
+    if (column.charAt(0) !== '_') {
+      set(column, value);
+    }
+  });
+  if (_.has(params, 'sTags')) {
+    set('tags', params.sTags.split(',').map(function(tag) {
+      return tag.trim();
+    }).filter(Boolean));
+  }
+  if (params.ixPersonAssignedTo) {
+    assignee = _.find(this.users, function(user) {
+      return String(user.ixPerson) === String(params.ixPersonAssignedTo);
+    });
+    if (assignee) {
+      set('sPersonAssignedTo', assignee.sFullName);
+      set('sEmailAssignedTo', assignee.sEmail);
+    }
+  }
+  switch (cmd) {
+  case 'resolve':
+    set('sStatus', params.sStatus || 'Resolved (Fixed)');
+    kase.dtResolved = now;
+    kase.ixPersonResolvedBy = session.user.ixPerson;
+    break;
+  case 'reactivate':
+  case 'reopen':
+    set('sStatus', 'Active');
+    kase.fOpen = true;
+    kase.dtResolved = null;
+    kase.dtClosed = null;
+    break;
+  case 'close':
+    set('sStatus', String(kase.sStatus).replace(/^Resolved/, 'Closed'));
+    kase.fOpen = false;
+    kase.dtClosed = now;
+    kase.ixPersonClosedBy = session.user.ixPerson;
+    break;
+  default:
+    break;
+  }
+  kase.ixPersonLastEditedBy = session.user.ixPerson;
+  event = {
+    sVerb: VERBS[cmd],
+    dt: now,
+    ixPerson: session.user.ixPerson,
+    sPerson: session.user.sFullName,
+    evtDescription: format('%s by %s', VERBS[cmd], session.user.sFullName),
+    s: params.sEvent || '',
+    sChanges: changes.join('\n')
+  };
+  event = server._addEvent(kase, event);
+  event.attachments = params._files.map(function(name, i) {
+    return {
+      sFileName: name,
+      sURL: format('default.asp?pg=pgDownload&pgType=pgFile&ixBugEvent=%s' +
+        '&ixAttachment=%s&sFileName=%s', event.ixBugEvent, i + 1,
+        encodeURIComponent(name))
+    };
+  });
+};
+
+/**
+ * Answers a case command: `new`, `edit`, or a workflow command.
+ * @method _caseCommand
+ * @private
+ * @param {string} cmd Case command
+ * @param {Object} params Command parameters
+ * @param {Object} session Session
+ * @returns {string} Response, as XML
+ */
+FogBugzServer.prototype._caseCommand = function _caseCommand(cmd, params,
+  session) {
+  var kase;
+  if (cmd === 'new') {
+    kase = this.addCase({
+      sTitle: params.sTitle || 'Untitled',
+      ixPersonOpenedBy: session.user.ixPerson,
+      sPersonAssignedTo: session.user.sFullName,
+      events: []
+    });
+  } else {
+    if (!params.ixBug) {
+      throw _fail(errors.CODES.missingArgument, 'Missing ixBug');
+    }
+    kase = this.getCase(params.ixBug);
+    if (!kase) {
+      throw _fail(errors.CODES.caseNotFound,
+        format('Case %s does not exist', params.ixBug));
+    }
+    if (!_.contains(OPERATIONS[_state(kase)], cmd)) {
+      throw _fail(errors.CODES.operationNotPermitted,
+        format('Case %s cannot be %s', kase.ixBug, cmd));
+    }
+  }
+  this._change(cmd, kase, params, session);
+  return _caseXml(kase, this.getEvents(kase.ixBug),
+    params.cols ? params.cols.split(',') : []);
+};
+
+/**
+ * Commands, by name.  Each is called upon the server with the parameters
+ * and the session (`null` for `logon`), and returns the content of the
+ * `<response>` element, or throws an error made by _fail().
+ * @type {Object.<string, Function>}
+ */
+COMMANDS = {
+  logon: function logon(params) {
+    var user = _.find(this.users, function(candidate) {
+      return candidate.sEmail === params.email &&
+        candidate.password === params.password;
+    });
+    var token;
+    if (!user) {
+      throw _fail(errors.CODES.logonFailed, 'Incorrect password or username');
+    }
+    token = crypto.randomBytes(16).toString('hex');
+    this._sessions[token] = {user: user, filter: null};
+    return _element('token', null, _cdata(token));
+  },
+
+  logoff: function logoff(params) {
+    delete this._sessions[params.token];
+    return '';
+  },
+
+  viewPerson: function viewPerson(params, session) {
+    var user = session.user;
+    return _element('person', null,
+      _element('ixPerson', null, user.ixPerson) +
+      _element('sFullName', null, _cdata(user.sFullName)) +
+      _element('sEmail', null, _cdata(user.sEmail)));
+  },
+
+  listFilters: function listFilters(params, session) {
+    var first = this.filters[0];
+    var current = session.filter || first && first.sFilter;
+    return _element('filters', null, this.filters.map(function(filter) {
+      var attrs = {type: filter.type || 'saved', sFilter: filter.sFilter};
+      if (filter.sFilter === current) {
+        attrs.status = 'current';
+      }
+      return _element('filter', attrs, _cdata(filter.name));
+    }).join(''));
+  },
+
+  setCurrentFilter: function setCurrentFilter(params, session) {
+    if (!_.find(this.filters, {sFilter: params.sFilter})) {
+      throw _fail(errors.CODES.missingArgument,
+        format('No filter "%s"', params.sFilter));
+    }
+    session.filter = params.sFilter;
+    return '';
+  },
+
+  search: function searchCases(params, session) {
+    var server = this;
+    var cols = params.cols ? params.cols.split(',') : [];
+    var found = this._search(params.q, session);
+    var max = parseInt(params.max, 10);
+    if (max > 0) {
+      found = found.slice(0, max);
+    }
+    return _element('cases', {count: found.length},
+      found.map(function(kase) {
+        return _caseXml(kase, server.getEvents(kase.ixBug), cols);
+      }).join(''));
+  }
+};
+
+_.each(VERBS, function(verb, cmd) {
+  COMMANDS[cmd] = function(params, session) {
+    return this._caseCommand(cmd, params, session);
+  };
+});
+
+/**
+ * Creates a FogBugzServer.
+ * @param {Object} [options] Options; see FogBugzServer
+ * @returns {FogBugzServer} Server, not yet listening
+ */
+function createServer(options) {
+  return new FogBugzServer(options);
+}
+
+exports.FogBugzServer = FogBugzServer;
+exports.createServer = createServer;
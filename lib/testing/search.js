@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/testing/search
+ * @overview Matches cases against FogBugz search queries, for the stand-in
+ * server.  Understands a useful subset of the real syntax: free text, case
+ * IDs, `axis:value`, quoted values, `OR`, `-` negation, parentheses and
+ * `from..to` ranges.
+ */
+var _ = require('lodash-node');
+
+/**
+ * Search axes, and the column each searches.
+ * @type {Object.<string, string>}
+ */
+var AXES = {
+  ixbug: 'ixBug',
+  case: 'ixBug',
+  status: 'sStatus',
+  project: 'sProject',
+  area: 'sArea',
+  category: 'sCategory',
+  priority: 'sPriority',
+  milestone: 'sFixFor',
+  assignedto: 'sPersonAssignedTo',
+  openedby: 'sPersonOpenedBy',
+  resolvedby: 'sPersonResolvedBy',
+  closedby: 'sPersonClosedBy',
+  editedby: 'sPersonLastEditedBy',
+  title: 'sTitle',
+  tag: 'tags',
+  computer: 'sComputer',
+  version: 'sVersion',
+  correspondent: 'sCustomerEmail',
+  opened: 'dtOpened',
+  edited: 'dtLastUpdated',
+  resolved: 'dtResolved',
+  closed: 'dtClosed',
+  due: 'dtDue'
+};
+
+/**
+ * Milliseconds in each unit of a relative date, e.g. `-7d`.
+ * @type {Object.<string, number>}
+ */
+var UNITS = {
+  h: 3600000,
+  d: 86400000,
+  w: 604800000,
+  m: 2592000000,
+  y: 31536000000
+};
+
+/**
+ * Splits a query into tokens: `(`, `)`, `-` (negation), `OR`, and terms.
+ * Quoted parts of a term keep their spaces and parentheses.
+ * @param {string} query Query string
+ * @returns {Array.<Object>} Tokens, as `{type, text}`
+ */
+function tokenize(query) {
+  var result = [];
+  var i = 0;
+  var text;
+  var quoted;
+  var start;
+  while (i < query.length) {
+    start = query.charAt(i);
+    if (/\s/.test(start)) {
+      i++;
+    } else if (start === '(' || start === ')') {
+      result.push({type: start});
+      i++;
+    } else if (start === '-' && /[^\s]/.test(query.charAt(i + 1))) {
+      result.push({type: '-'});
+      i++;
+    } else {
+      text = '';
+      quoted = false;
+      while (i < query.length && (quoted ||
+        !/[\s()]/.test(query.charAt(i)))) {
+        if (query.charAt(i) === '"') {
+          quoted = !quoted;
+        }
+        text += query.charAt(i);
+        i++;
+      }
+      result.push(text === 'OR' ? {type: 'OR'} : {type: 'term', text: text});
+    }
+  }
+  return result;
+}
+
+/**
+ * Parses a range bound: a number, a date, or a date relative to now, e.g.
+ * `-7d`.
+ * @param {string} text Bound
+ * @returns {?(number|Date)} Bound; `null` if open
+ */
+function _bound(text) {
+  var match = /^([+-]?)(\d+)([hdwmy])$/i.exec(text);
+  if (!text) {
+    return null;
+  }
+  if (match) {
+    return new Date(Date.now() + (match[1] === '-' ? -1 : 1) *
+      match[2] * UNITS[match[3].toLowerCase()]);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  return new Date(text);
+}
+
+/**
+ * Whether a value is within a range.
+ * @param {*} value Value of a column
+ * @param {Array.<?(number|Date)>} range `[from, to]`
+ * @returns {boolean} True if within
+ */
+function _inRange(value, range) {
+  var number;
+  if (_.isNull(value) || _.isUndefined(value) || value === '') {
+    return false;
+  }
+  number = _.isDate(range[0]) || _.isDate(range[1]) ?
+    new Date(value).getTime() : parseFloat(value);
+  return (!range[0] || number >= range[0].valueOf()) &&
+    (!range[1] || number <= range[1].valueOf());
+}
+
+/**
+ * Makes the predicate of a single term.
+ * @param {string} text Term, e.g. `status:active` or `"out of memory"`
+ * @returns {Function} Called with a case's columns; true if it matches
+ */
+function _term(text) {
+  var match = /^([A-Za-z_]+):([\s\S]*)$/.exec(text);
+  var axis = match ? match[1] : null;
+  var value = (match ? match[2] : text).replace(/"/g, '');
+  var column = axis && (AXES[axis.toLowerCase()] || axis);
+  var range = value.split('..');
+  var wanted = value.toLowerCase();
+  var ids;
+
+  if (!axis && /^\d+(,\d+)*$/.test(value)) {
+    axis = 'ixBug';
+    column = 'ixBug';
+  }
+  if (!axis) {
+    return function(kase) {
+      return String(kase.sTitle || '').toLowerCase().indexOf(wanted) !== -1;
+    };
+  }
+  if (range.length === 2) {
+    range = range.map(_bound);
+    return function(kase) {
+      return _inRange(kase[column], range);
+    };
+  }
+  if (column === 'ixBug') {
+    ids = value.split(',');
+    return function(kase) {
+      return _.contains(ids, String(kase.ixBug));
+    };
+  }
+  return function(kase) {
+    var actual = kase[column];
+    if (column === 'tags') {
+      return _.some(actual, function(tag) {
+        return tag.toLowerCase() === wanted;
+      });
+    }
+    actual = String(_.isNull(actual) || _.isUndefined(actual) ? '' :
+      actual).toLowerCase();
+    return column === 'sTitle' ? actual.indexOf(wanted) !== -1 :
+      actual.indexOf(wanted) === 0;
+  };
+}
+
+/**
+ * Makes a predicate out of a query.
+ * @param {string} query Query string
+ * @returns {Function} Called with a case's columns; true if it matches
+ */
+function compile(query) {
+  var tokens = tokenize(String(query));
+  var pos = 0;
+  var parseOr;
+
+  function parseUnary() {
+    var token = tokens[pos];
+    var inner;
+    // a dangling `-` negates nothing
+    if (!token || token.type === ')' || token.type === 'OR') {
+      return _.constant(true);
+    }
+    pos++;
+    if (token.type === '-') {
+      inner = parseUnary();
+      return function(kase) {
+        return !inner(kase);
+      };
+    }
+    if (token.type === '(') {
+      inner = parseOr();
+      pos++;
+      return inner;
+    }
+    return _term(token.text);
+  }
+
+  function parseAnd() {
+    var all = [];
+    while (pos < tokens.length && tokens[pos].type !== 'OR' &&
+      tokens[pos].type !== ')') {
+      all.push(parseUnary());
+    }
+    return function(kase) {
+      return _.every(all, function(predicate) {
+        return predicate(kase);
+      });
+    };
+  }
+
+  parseOr = function() {
+    var any = [parseAnd()];
+    while (pos < tokens.length && tokens[pos].type === 'OR') {
+      pos++;
+      any.push(parseAnd());
+    }
+    return function(kase) {
+      return _.some(any, function(predicate) {
+        return predicate(kase);
+      });
+    };
+  };
+
+  return parseOr();
+}
+
+exports.AXES = AXES;
+exports.tokenize = tokenize;
+exports.compile = compile;
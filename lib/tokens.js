@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/tokens
+ * @overview Token stores keep logon tokens, so a process can reuse the
+ * session of an earlier one instead of logging on again.  A store is any
+ * object with `get(key)`, `set(key, token)` and `delete(key)` methods, each
+ * returning a promise (or a plain value); `get` resolves with `null` if it
+ * has no token.  Keys are made by keyOf(), one per host and user.
+ */
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var format = require('util').format;
+var Q = require('q');
+var _ = require('lodash-node');
+
+/**
+ * Default name of a FileTokenStore's file, in the home directory.
+ * @type {string}
+ */
+var DEFAULT_FILE = '.fogbugz-token.json';
+
+/**
+ * Mode of a FileTokenStore's file: readable and writable by its owner only
+ * (0600).
+ * @type {number}
+ */
+var FILE_MODE = 384;
+
+/**
+ * Returns the key a Client's token is kept under.
+ * @param {Object} conf Client configuration
+ * @param {string} conf.host Host
+ * @param {string} [conf.username] Username
+ * @param {number} [conf.port] Port
+ * @param {string} [conf.basePath] Base path, e.g. `/fogbugz`
+ * @returns {string} Key, e.g. `zzz@yyy.com@zzz.fogbugz.com`
+ */
+function keyOf(conf) {
+  return format('%s@%s%s%s', conf.username || '', conf.host,
+    conf.port ? ':' + conf.port : '', conf.basePath || '');
+}
+
+/**
+ * MemoryTokenStore pseudoclass; keeps tokens for as long as the process
+ * lives.  Every Client has one of its own, unless given another store.
+ * @class MemoryTokenStore
+ * @constructor
+ */
+function MemoryTokenStore() {
+  this._tokens = {};
+}
+
+/**
+ * Gets a token.
+ * @method get
+ * @param {string} key Key
+ * @returns {Promise.<?string>} Token, or `null` if there's none
+ */
+MemoryTokenStore.prototype.get = function get(key) {
+  return Q.resolve(_.has(this._tokens, key) ? this._tokens[key] : null);
+};
+
+/**
+ * Keeps a token.
+ * @method set
+ * @param {string} key Key
+ * @param {string} token Token
+ * @returns {Promise} Resolved once kept
+ */
+MemoryTokenStore.prototype.set = function set(key, token) {
+  this._tokens[key] = token;
+  return Q.resolve();
+};
+
+/**
+ * Forgets a token.
+ * @method delete
+ * @param {string} key Key
+ * @returns {Promise} Resolved once forgotten
+ */
+MemoryTokenStore.prototype.delete = function deleteToken(key) {
+  delete this._tokens[key];
+  return Q.resolve();
+};
+
+/**
+ * FileTokenStore pseudoclass; keeps tokens in a JSON file which only its
+ * owner may read.  Changes are made one at a time, so Clients sharing a
+ * store don't undo one another's.
+ * @class FileTokenStore
+ * @constructor
+ * @param {string} [file] Path of the file; defaults to
+ *     `.fogbugz-token.json` in the home directory
+ * @param {string} [home] Home directory; defaults to the current user's
+ */
+function FileTokenStore(file, home) {
+  this.file = file || path.join(home || os.homedir(), DEFAULT_FILE);
+  this._changing = Q.resolve();
+}
+
+/**
+ * Reads every token in the file.  A file which is missing, empty or not
+ * JSON (say, one left half-written) holds none.
+ * @method _read
+ * @private
+ * @returns {Promise.<Object.<string, string>>} Tokens by key
+ */
+FileTokenStore.prototype._read = function _read() {
+  return Q.nfcall(fs.readFile, this.file, 'utf8')
+    .then(function(json) {
+      var tokens;
+      try {
+        tokens = JSON.parse(json);
+      } catch (err) {
+        return {};
+      }
+      return _.isPlainObject(tokens) ? tokens : {};
+    }, function(err) {
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      throw err;
+    });
+};
+
+/**
+ * Reads the file, changes its tokens and writes it, once any change under
+ * way is done.  The tokens are written to a temporary file which only its
+ * owner may read, then moved over the file, so they're never readable by
+ * others, nor half-written.
+ * @method _change
+ * @private
+ * @param {Function} change Called with the tokens by key, to change them
+ * @returns {Promise} Resolved once written
+ */
+FileTokenStore.prototype._change = function _change(change) {
+  var store = this;
+  var temp = format('%s.%d.tmp', this.file, process.pid);
+  var changed = this._changing
+    .then(function() {
+      return store._read();
+    })
+    .then(function(tokens) {
+      change(tokens);
+      return Q.nfcall(fs.writeFile, temp,
+        JSON.stringify(tokens, null, 2), {mode: FILE_MODE});
+    })
+    .then(function() {
+      // the umask may have taken some of the mode away
+      return Q.nfcall(fs.chmod, temp, FILE_MODE);
+    })
+    .then(function() {
+      return Q.nfcall(fs.rename, temp, store.file);
+    });
+  this._changing = changed.catch(_.noop);
+  return changed;
+};
+
+/**
+ * Gets a token.
+ * @method get
+ * @param {string} key Key
+ * @returns {Promise.<?string>} Token, or `null` if there's none
+ */
+FileTokenStore.prototype.get = function get(key) {
+  var store = this;
+  return this._changing
+    .then(function() {
+      return store._read();
+    })
+    .then(function(tokens) {
+      return _.has(tokens, key) ? tokens[key] : null;
+    });
+};
+
+/**
+ * Keeps a token.
+ * @method set
+ * @param {string} key Key
+ * @param {string} token Token
+ * @returns {Promise} Resolved once written
+ */
+FileTokenStore.prototype.set = function set(key, token) {
+  return this._change(function(tokens) {
+    tokens[key] = token;
+  });
+};
+
+/**
+ * Forgets a token.
+ * @method delete
+ * @param {string} key Key
+ * @returns {Promise} Resolved once written
+ */
+FileTokenStore.prototype.delete = function deleteToken(key) {
+  return this._change(function(tokens) {
+    delete tokens[key];
+  });
+};
+
+exports.keyOf = keyOf;
+exports.MemoryTokenStore = MemoryTokenStore;
+exports.FileTokenStore = FileTokenStore;
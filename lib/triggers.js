@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * @module fogbugz/lib/triggers
+ * @overview Receives the requests FogBugz sends to a URL trigger, and turns
+ * them into events.  FogBugz fills placeholders such as `{CaseNumber}` into
+ * the trigger's URL; point it at something like
+ * `https://example.com/fogbugz?CaseNumber={CaseNumber}&
+ * CaseEventID={CaseEventID}&EventType={EventType}&secret=s3cret`.
+ */
+var url = require('url');
+var querystring = require('querystring');
+var EventEmitter = require('events').EventEmitter;
+var extend = require('util')._extend;
+var _ = require('lodash-node');
+
+/**
+ * Trigger properties, and the request parameters they may come from; the
+ * first name of each is the FogBugz placeholder.
+ * @type {Object.<string, Array.<string>>}
+ */
+var PARAMS = {
+  caseId: ['CaseNumber', 'ixBug', 'caseId'],
+  eventId: ['CaseEventID', 'ixBugEvent', 'eventId'],
+  eventType: ['EventType', 'eventType']
+};
+
+/**
+ * Types of event FogBugz sends, which are emitted as events of the same
+ * name.  Others are only emitted as `trigger`, lest a request choose an
+ * event like `error` the emitter treats specially.
+ * @type {Array.<string>}
+ */
+var EVENT_TYPES = [
+  'CaseOpened',
+  'CaseEdited',
+  'CaseAssigned',
+  'CaseResolved',
+  'CaseClosed',
+  'CaseReopened',
+  'CaseReactivated',
+  'CaseReplied',
+  'CaseForwarded',
+  'CaseEmailed'
+];
+
+/**
+ * Largest request body we read, in bytes.
+ * @type {number}
+ */
+var MAX_BODY = 65536;
+
+/**
+ * Trigger pseudoclass; one request FogBugz sent to a URL trigger.
+ * @class Trigger
+ * @constructor
+ * @param {Object} obj Object representing Trigger
+ */
+function Trigger(obj) {
+  extend(this, obj);
+}
+
+/**
+ * Compares a secret without giving away, by how long it takes, how much of
+ * it was right.
+ * @param {*} given Secret sent with the request
+ * @param {string} expected Shared secret
+ * @returns {boolean} True if they're the same
+ */
+function _sameSecret(given, expected) {
+  var diff = 0;
+  var i;
+  if (!_.isString(given) || given.length !== expected.length) {
+    return false;
+  }
+  for (i = 0; i < expected.length; i++) {
+    diff += given.charCodeAt(i) === expected.charCodeAt(i) ? 0 : 1;
+  }
+  return diff === 0;
+}
+
+/**
+ * Reads the parameters of a request: those in its query string, and those
+ * in its body, form-encoded or JSON.  A body already parsed by other
+ * middleware, as `req.body`, is used as it is.
+ * @param {http.IncomingMessage} req Request
+ * @param {Function} callback Called with an error, or the parameters
+ */
+function _readParams(req, callback) {
+  var params = url.parse(req.url, true).query;
+  var chunks = [];
+  var size = 0;
+  if (_.isPlainObject(req.body) || req.method !== 'POST') {
+    callback(null, _.extend(params, req.body));
+    return;
+  }
+  req.on('data', function(chunk) {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      req.removeAllListeners('data');
+      req.removeAllListeners('end');
+      callback(new Error('request body too large'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function() {
+    var body = Buffer.concat(chunks).toString('utf8');
+    var parsed;
+    try {
+      parsed = /json/.test(req.headers['content-type']) ?
+        JSON.parse(body || '{}') : querystring.parse(body);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback(null, _.extend(params, parsed));
+  });
+  req.on('error', callback);
+}
+
+/**
+ * Turns request parameters into a Trigger.
+ * @param {Object} params Request parameters
+ * @returns {?Trigger} Trigger; `null` if there's no case ID
+ */
+function _toTrigger(params) {
+  var obj = {};
+  _.each(PARAMS, function(names, property) {
+    var name = _.find(names, function(candidate) {
+      return _.has(params, candidate) && params[candidate] !== '';
+    });
+    obj[property] = name ? String(params[name]) : null;
+  });
+  obj.caseId = parseInt(obj.caseId, 10);
+  obj.eventId = obj.eventId ? parseInt(obj.eventId, 10) : null;
+  if (isNaN(obj.caseId)) {
+    return null;
+  }
+  obj.case = null;
+  return new Trigger(obj);
+}
+
+/**
+ * Ends a response with a plain text status message.
+ * @param {http.ServerResponse} res Response
+ * @param {number} status HTTP status code
+ * @param {string} message Message
+ */
+function _reply(res, status, message) {
+  res.writeHead(status, {'Content-Type': 'text/plain'});
+  res.end(message);
+}
+
+/**
+ * Makes a request handler for URL triggers; it's Express/connect
+ * middleware, and a plain `http` request listener as well.  Each valid
+ * request is answered at once, then emitted as a `trigger` event, and, if
+ * its type is one of EVENT_TYPES, as an event named after its type (e.g.
+ * `CaseResolved`), with a Trigger.
+ * @param {Object} [options] Options
+ * @param {string} [options.secret] Shared secret requests must carry in
+ *     their `secret` parameter; requests without it get a 403
+ * @param {boolean} [options.fetchCase=false] Whether to fetch the Case
+ *     before answering and emitting, as the Trigger's `case`.  If that
+ *     fails, the request gets a 502, and the error is emitted as a
+ *     `fetchError` event, with the Trigger as its `trigger` property.
+ * @param {array} [options.cols] Fields to pull when fetching the Case
+ * @param {Function} getClient Returns the Client to fetch Cases with
+ * @param {EventEmitter} [emitter] What to emit upon; by default, the
+ *     handler itself, which is made an EventEmitter
+ * @returns {Function} Request handler
+ */
+function createMiddleware(options, getClient, emitter) {
+  options = options || {};
+
+  function emit(trigger) {
+    emitter.emit('trigger', trigger);
+    if (_.contains(EVENT_TYPES, trigger.eventType)) {
+      emitter.emit(trigger.eventType, trigger);
+    }
+  }
+
+  function handle(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      if (next) {
+        next();
+      } else {
+        _reply(res, 405, 'Method Not Allowed');
+      }
+      return;
+    }
+    _readParams(req, function(err, params) {
+      var trigger;
+      if (err) {
+        _reply(res, 400, 'Bad Request');
+        return;
+      }
+      if (options.secret && !_sameSecret(params.secret, options.secret)) {
+        _reply(res, 403, 'Forbidden');
+        return;
+      }
+      trigger = _toTrigger(params);
+      if (!trigger) {
+        _reply(res, 400, 'Bad Request');
+        return;
+      }
+      if (!options.fetchCase) {
+        _reply(res, 200, 'OK');
+        emit(trigger);
+        return;
+      }
+      getClient().getBug(trigger.caseId, options.cols)
+        .then(function(kase) {
+          trigger.case = kase;
+          _reply(res, 200, 'OK');
+          emit(trigger);
+        }, function(fetchErr) {
+          fetchErr.trigger = trigger;
+          _reply(res, 502, 'Bad Gateway');
+          emitter.emit('fetchError', fetchErr);
+        })
+        .done();
+    });
+  }
+
+  if (!emitter) {
+    _.extend(handle, EventEmitter.prototype);
+    EventEmitter.call(handle);
+    emitter = handle;
+  }
+  return handle;
+}
+
+exports.PARAMS = PARAMS;
+exports.EVENT_TYPES = EVENT_TYPES;
+exports.Trigger = Trigger;
+exports.createMiddleware = createMiddleware;
@@ -0,0 +1,266 @@
+'use strict';
+
+var path = require('path');
+var Q = require('q');
+var fogbugz = require('../index');
+var cli = require('../lib/cli');
+
+describe('cli', function() {
+  var sandbox;
+  var client;
+  var io;
+  var tokenFile = path.join(require('os').tmpdir(),
+    'fogbugz-cli-' + process.pid + '.json');
+
+  function output() {
+    return io.stdout.write.args.map(function(args) {
+      return args[0];
+    }).join('');
+  }
+
+  beforeEach(function() {
+    sandbox = sinon.sandbox.create('cli');
+    client = {
+      conf: {
+        host: 'zzz.fogbugz.com',
+        tokenStore: new fogbugz.MemoryTokenStore()
+      },
+      forgetToken: sandbox.stub().returns(Q.resolve()),
+      setToken: sandbox.stub().returns(Q.resolve()),
+      logoff: sandbox.stub().returns(Q.resolve(true)),
+      logon: sandbox.stub().returns(Q.resolve({token: 'fresh'})),
+      search: sandbox.stub().returns(Q.resolve([
+        new fogbugz.Case({id: '1', title: 'Broken', status: 'Active'}),
+        new fogbugz.Case({id: '22', title: 'Slow', status: 'Resolved'})
+      ])),
+      getBug: sandbox.stub().returns(Q.resolve(new fogbugz.Case({
+        id: '1',
+        title: 'Broken',
+        _raw: {}
+      }))),
+      editBug: sandbox.stub().returns(Q.resolve(new fogbugz.Case({
+        id: '1',
+        title: 'Fixed'
+      }))),
+      listFilters: sandbox.stub().returns(Q.resolve([
+        new fogbugz.Filter({id: 'ez', name: 'My Cases', type: 'builtin',
+          current: true})
+      ])),
+      setCurrentFilter: sandbox.stub().returns(Q.resolve(true))
+    };
+    sandbox.stub(fogbugz, 'createClient').returns(client);
+    io = {
+      stdout: {write: sandbox.spy()},
+      stderr: {write: sandbox.spy()},
+      env: {
+        FOGBUGZ_HOST: 'zzz.fogbugz.com',
+        FOGBUGZ_USERNAME: 'me@zzz.com',
+        FOGBUGZ_PASSWORD: 'Password1',
+        FOGBUGZ_TOKEN_FILE: tokenFile
+      },
+      cwd: __dirname
+    };
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('parseArgs()', function() {
+    it('should parse options and arguments', function() {
+      expect(cli.parseArgs(['edit', '12', '--set', 'sTitle=a=b',
+        '--set=ixPriority=2', '--cols', 'sTitle, sStatus', '--max=3']))
+        .to.eql({
+          _: ['edit', '12'],
+          set: {sTitle: 'a=b', ixPriority: '2'},
+          cols: ['sTitle', 'sStatus'],
+          max: 3
+        });
+    });
+
+    it('should refuse unknown options and missing values', function() {
+      expect(function() {
+        cli.parseArgs(['search', '--bogus']);
+      }).to.throw(/unknown option --bogus/);
+      expect(function() {
+        cli.parseArgs(['search', '--max']);
+      }).to.throw(/--max needs a value/);
+    });
+  });
+
+  describe('loadConfig()', function() {
+    it('should let the environment override the file', function() {
+      return expect(cli.loadConfig({
+        NODE_FOGBUGZ_CONFIG: 'fogbugz.conf.json',
+        FOGBUGZ_PASSWORD: 'hunter2'
+      }, __dirname)).to.eventually.eql({
+        host: 'zzz.fogbugz.com',
+        username: 'zzz@yyy.com',
+        password: 'hunter2',
+        discover: false
+      });
+    });
+
+    it('should take the transport from the environment', function() {
+      return expect(cli.loadConfig({
+        NODE_FOGBUGZ_CONFIG: 'fogbugz.conf.json',
+        FOGBUGZ_PROTOCOL: 'http',
+        FOGBUGZ_PORT: '8080',
+        FOGBUGZ_BASE_PATH: '/fogbugz'
+      }, __dirname)).to.eventually.include({
+        protocol: 'http',
+        port: '8080',
+        basePath: '/fogbugz'
+      });
+    });
+
+    it('should need a host', function() {
+      return expect(cli.loadConfig({}, path.join(__dirname, '..', 'lib')))
+        .to.eventually.be.rejectedWith(/no host configured/);
+    });
+  });
+
+  describe('run()', function() {
+    it('should log on afresh, keeping the token in a file', function() {
+      return cli.run(['logon'], io)
+        .then(function(code) {
+          var options = fogbugz.createClient.firstCall.args[0];
+          expect(code).to.equal(0);
+          expect(output()).to.equal('Logged on to zzz.fogbugz.com\n');
+          expect(options).to.include({
+            host: 'zzz.fogbugz.com',
+            username: 'me@zzz.com',
+            password: 'Password1'
+          });
+          expect(options.tokenStore).to.be
+            .an.instanceof(fogbugz.FileTokenStore);
+          expect(options.tokenStore.file).to.equal(tokenFile);
+          expect(client.forgetToken).to.have.been.calledBefore(client.logon);
+          expect(client.logoff).not.to.have.been.called;
+        });
+    });
+
+    it('should log off the stored token first', function() {
+      return client.conf.tokenStore.set('@zzz.fogbugz.com', 'stored')
+        .then(function() {
+          client.logoff.returns(Q.reject(new fogbugz.NotLoggedOnError('no')));
+          return cli.run(['logon'], io);
+        })
+        .then(function(code) {
+          expect(code).to.equal(0);
+          expect(client.setToken).to.have.been.calledWith('stored');
+          expect(client.logoff).to.have.been.calledBefore(client.forgetToken);
+          expect(client.forgetToken).to.have.been.calledBefore(client.logon);
+        });
+    });
+
+    it('should keep the token in the home directory by default', function() {
+      delete io.env.FOGBUGZ_TOKEN_FILE;
+      io.env.HOME = path.join('home', 'me');
+      return cli.run(['logon'], io)
+        .then(function() {
+          expect(fogbugz.createClient.firstCall.args[0].tokenStore.file)
+            .to.equal(path.join('home', 'me', '.fogbugz-token.json'));
+        });
+    });
+
+    it('should log on before other commands', function() {
+      return cli.run(['search', 'project:Website'], io)
+        .then(function(code) {
+          expect(code).to.equal(0);
+          expect(client.logon).to.have.been.calledBefore(client.search);
+          expect(client.forgetToken).not.to.have.been.called;
+        });
+    });
+
+    it('should print cases as a table', function() {
+      return cli.run(['search', 'project:Website', '--cols', 'sTitle',
+        '--max', '5'], io)
+        .then(function(code) {
+          expect(code).to.equal(0);
+          expect(client.search).to.have.been.calledWith('project:Website',
+            ['sTitle'], 5);
+          expect(output()).to.equal('id  title\n1   Broken\n22  Slow\n');
+        });
+    });
+
+    it('should print cases as JSON and NDJSON', function() {
+      return cli.run(['search', 'x', '--format', 'json'], io)
+        .then(function() {
+          expect(JSON.parse(output())).to.have.length(2);
+          io.stdout.write.reset();
+          return cli.run(['search', 'x', '--format', 'ndjson'], io);
+        })
+        .then(function() {
+          var lines = output().split('\n');
+          expect(lines).to.have.length(3);
+          expect(lines.slice(0, 2).map(JSON.parse)).to.eql([
+            {id: '1', title: 'Broken', status: 'Active'},
+            {id: '22', title: 'Slow', status: 'Resolved'}
+          ]);
+          expect(lines[2]).to.equal('');
+        });
+    });
+
+    it('should print nothing if nothing matches', function() {
+      client.search.returns(Q.reject(new fogbugz.CaseNotFoundError('none')));
+      return cli.run(['search', 'x'], io)
+        .then(function(code) {
+          expect(code).to.equal(0);
+          expect(output()).to.equal('');
+        });
+    });
+
+    it('should show a case', function() {
+      return cli.run(['show', '1', '--format', 'json'], io)
+        .then(function(code) {
+          expect(code).to.equal(0);
+          expect(JSON.parse(output())).to.eql({id: '1', title: 'Broken'});
+        });
+    });
+
+    it('should edit a case', function() {
+      return cli.run(['edit', '1', '--set', 'sTitle=Fixed', '--comment',
+        'done'], io)
+        .then(function(code) {
+          expect(code).to.equal(0);
+          expect(client.editBug).to.have.been.calledWith('1', {
+            sTitle: 'Fixed',
+            sEvent: 'done'
+          });
+          expect(output()).to.equal('property  value\nid        1\n' +
+            'title     Fixed\n');
+        });
+    });
+
+    it('should list filters, and use one', function() {
+      return cli.run(['filters', '--use', 'ez'], io)
+        .then(function(code) {
+          expect(code).to.equal(0);
+          expect(client.setCurrentFilter).to.have.been.calledWith('ez');
+          expect(output()).to.equal('id  name      type     current\n' +
+            'ez  My Cases  builtin  true\n');
+        });
+    });
+
+    it('should report failures', function() {
+      client.getBug.returns(Q.reject(new fogbugz.FogBugzError('boom')));
+      return cli.run(['show', '1'], io)
+        .then(function(code) {
+          expect(code).to.equal(1);
+          expect(io.stderr.write).to.have.been.calledWith('fogbugz: boom\n');
+        });
+    });
+
+    it('should report misuse', function() {
+      return Q.all([
+        cli.run(['frobnicate'], io),
+        cli.run(['edit', '1'], io),
+        cli.run(['search', 'x', '--format', 'xml'], io)
+      ])
+        .then(function(codes) {
+          expect(codes).to.eql([2, 2, 2]);
+        });
+    });
+  });
+});
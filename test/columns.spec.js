@@ -0,0 +1,68 @@
+'use strict';
+
+var columns = require('../lib/columns');
+
+describe('columns', function() {
+  describe('typeOf()', function() {
+    it('should go by the prefix', function() {
+      expect(columns.typeOf('sTitle')).to.equal('string');
+      expect(columns.typeOf('ixPriority')).to.equal('integer');
+      expect(columns.typeOf('nFileCount')).to.equal('integer');
+      expect(columns.typeOf('dtOpened')).to.equal('date');
+      expect(columns.typeOf('fOpen')).to.equal('boolean');
+      expect(columns.typeOf('hrsElapsed')).to.equal('float');
+      expect(columns.typeOf('dblStoryPts')).to.equal('float');
+    });
+
+    it('should only take a prefix followed by a capital', function() {
+      expect(columns.typeOf('fixes')).to.equal('string');
+      expect(columns.typeOf('tags')).to.equal('string');
+      expect(columns.typeOf('plugin_customfields_at_fogcreek_com_foo'))
+        .to.equal('string');
+    });
+  });
+
+  describe('propertyName()', function() {
+    it('should give common columns friendly names', function() {
+      expect(columns.propertyName('dtOpened')).to.equal('opened');
+      expect(columns.propertyName('ixPriority')).to.equal('priorityId');
+    });
+
+    it('should keep other names', function() {
+      expect(columns.propertyName('sFooBar')).to.equal('sFooBar');
+    });
+  });
+
+  describe('coerce()', function() {
+    it('should coerce by type', function() {
+      expect(columns.coerce('sTitle', [' foo '])).to.equal('foo');
+      expect(columns.coerce('ixPriority', ['3'])).to.equal(3);
+      expect(columns.coerce('hrsElapsed', ['1.5'])).to.equal(1.5);
+      expect(columns.coerce('fOpen', ['true'])).to.be.true;
+      expect(columns.coerce('fOpen', ['false'])).to.be.false;
+      expect(columns.coerce('dtOpened', ['2015-05-06T22:47:59Z'])).to
+        .eql(new Date(Date.UTC(2015, 4, 6, 22, 47, 59)));
+    });
+
+    it('should make empty non-strings null', function() {
+      expect(columns.coerce('dtClosed', [''])).to.be.null;
+      expect(columns.coerce('ixBugParent', [''])).to.be.null;
+      expect(columns.coerce('sVersion', [''])).to.equal('');
+    });
+
+    it('should split lists of IDs', function() {
+      expect(columns.coerce('ixBugChildren', ['12,13'])).to.eql([12, 13]);
+      expect(columns.coerce('ixRelatedBugs', [''])).to.eql([]);
+    });
+
+    it('should turn lists of elements into arrays', function() {
+      expect(columns.coerce('tags', [{tag: ['a', 'b']}])).to
+        .eql(['a', 'b']);
+    });
+
+    it('should read text out of elements w/ attributes', function() {
+      expect(columns.coerce('ixPerson', [{_: '7', $: {foo: 'bar'}}])).to
+        .equal(7);
+    });
+  });
+});
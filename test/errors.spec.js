@@ -0,0 +1,71 @@
+'use strict';
+
+var errors = require('../lib/errors');
+
+describe('errors', function() {
+  describe('FogBugzError', function() {
+    it('should be an Error', function() {
+      var err = new errors.FogBugzError('foo', {code: 7});
+      expect(err).to.be.an.instanceof(Error);
+      expect(err.message).to.equal('foo');
+      expect(err.name).to.equal('FogBugzError');
+      expect(err.code).to.equal(7);
+      expect(err.stack).to.be.a('string');
+    });
+  });
+
+  describe('fromCode()', function() {
+    it('should map logon failures to AuthenticationError', function() {
+      expect(errors.fromCode('1', 'nope'))
+        .to.be.an.instanceof(errors.AuthenticationError);
+      expect(errors.fromCode('2', 'which one?'))
+        .to.be.an.instanceof(errors.AuthenticationError);
+    });
+
+    it('should map code 3 to NotLoggedOnError', function() {
+      var err = errors.fromCode('3', 'Not logged on', {
+        command: 'search',
+        body: '<response/>'
+      });
+      expect(err).to.be.an.instanceof(errors.NotLoggedOnError);
+      expect(err).to.be.an.instanceof(errors.FogBugzError);
+      expect(err.name).to.equal('NotLoggedOnError');
+      expect(err.code).to.equal(3);
+      expect(err.command).to.equal('search');
+      expect(err.body).to.equal('<response/>');
+    });
+
+    it('should map code 5 to CaseNotFoundError', function() {
+      expect(errors.fromCode('5', 'no such case'))
+        .to.be.an.instanceof(errors.CaseNotFoundError);
+    });
+
+    it('should fall back to FogBugzError', function() {
+      var err = errors.fromCode('42', 'whatever');
+      expect(err.constructor).to.equal(errors.FogBugzError);
+      expect(err.code).to.equal(42);
+    });
+
+    it('should leave out a missing code', function() {
+      var err = errors.fromCode(null, 'whatever');
+      expect(err.constructor).to.equal(errors.FogBugzError);
+      expect(err.code).to.be.undefined;
+    });
+  });
+
+  describe('fromTransport()', function() {
+    it('should wrap the cause', function() {
+      var cause = new Error('ECONNRESET');
+      var err = errors.fromTransport(cause, 'logon');
+      expect(err).to.be.an.instanceof(errors.TransportError);
+      expect(err.message).to.equal('ECONNRESET');
+      expect(err.command).to.equal('logon');
+      expect(err.cause).to.equal(cause);
+    });
+
+    it('should pass FogBugzErrors along', function() {
+      var err = new errors.UnsupportedVersionError('too old');
+      expect(errors.fromTransport(err, 'startWork')).to.equal(err);
+    });
+  });
+});
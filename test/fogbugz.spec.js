@@ -1,11 +1,17 @@
 'use strict';
 
+var http = require('http');
+var format = require('util').format;
+var querystring = require('querystring');
 var rewire = require('rewire');
+var Q = require('q');
+var _ = require('lodash-node');
 var fogbugz = rewire('../index');
 
 describe('fogbugz', function() {
   var sandbox;
   var TOKEN = 'capybara';
+  var realRequest = fogbugz.__get__('request');
 
   beforeEach(function() {
     sandbox = sinon.sandbox.create('fogbugz');
@@ -15,6 +21,554 @@ describe('fogbugz', function() {
     sandbox.restore();
   });
 
+  describe('createClient()', function() {
+    var client;
+
+    beforeEach(function() {
+      client = fogbugz.createClient({
+        host: 'aaa.fogbugz.com',
+        discover: false,
+        username: 'aaa@bbb.com',
+        password: 'Password2',
+        token: TOKEN
+      });
+    });
+
+    it('should return a Client', function() {
+      expect(client).to.be.an.instanceof(fogbugz.Client);
+    });
+
+    it('should keep its token apart from the default client', function() {
+      fogbugz.forgetToken();
+      return expect(fogbugz.logoff()).to.eventually.be
+        .rejectedWith(fogbugz.MODULE_ERRORS.undefinedToken)
+        .then(function() {
+          fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+            cb();
+          }));
+          return expect(client.logoff()).to.eventually.be.true;
+        });
+    });
+
+    it('should talk to its own host', function() {
+      var filtersXml = '<response><filters><filter type="builtin" ' +
+        'sFilter="ez">My Cases</filter></filters></response>';
+      var req = sandbox.spy(function(opts, cb) {
+        cb(null, null, filtersXml);
+      });
+
+      fogbugz.__set__('request', req);
+
+      return client.listFilters()
+        .then(function(filters) {
+          expect(req).to.have.been.calledWithMatch({
+            url: 'https://aaa.fogbugz.com/api.asp',
+            form: {
+              cmd: 'listFilters',
+              token: TOKEN
+            }
+          });
+          expect(filters[0].url).to
+            .equal('https://aaa.fogbugz.com/default.asp?pgx=LF&ixFilter=ez');
+        });
+    });
+
+    it('should use the client which retrieved a Filter', function() {
+      var filter = new fogbugz.Filter({id: 'ez'}, client);
+      var req = sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response></response>');
+      });
+
+      fogbugz.__set__('request', req);
+
+      return filter.setCurrent()
+        .then(function() {
+          expect(req).to.have.been.calledWithMatch({
+            url: 'https://aaa.fogbugz.com/api.asp'
+          });
+        });
+    });
+  });
+
+  describe('session', function() {
+    var client;
+    var searchXml = '<response><cases count="1"><case ixBug="16006" ' +
+      'operations="edit"><sTitle><![CDATA[foo]]></sTitle><sFixFor>' +
+      '<![CDATA[whenever]]></sFixFor><sStatus><![CDATA[Active]]>' +
+      '</sStatus></case></cases></response>';
+    var notLoggedOnXml = '<response><error code="3">Not logged on' +
+      '</error></response>';
+    var logonXml = '<response><token><![CDATA[kakapo]]></token></response>';
+
+    /**
+     * Fakes a server which only accepts the token "kakapo".
+     * @returns {Function} Spy standing in for `request`
+     */
+    function server() {
+      return sandbox.spy(function(opts, cb) {
+        setTimeout(function() {
+          if (opts.form.cmd === 'logon') {
+            cb(null, null, logonXml);
+          } else if (opts.form.token === 'kakapo') {
+            cb(null, null, searchXml);
+          } else {
+            cb(null, null, notLoggedOnXml);
+          }
+        });
+      });
+    }
+
+    beforeEach(function() {
+      client = fogbugz.createClient({
+        host: 'aaa.fogbugz.com',
+        discover: false,
+        username: 'aaa@bbb.com',
+        password: 'Password2',
+        token: TOKEN,
+        retryDelay: 0
+      });
+    });
+
+    it('should log on again and replay if the token expired', function() {
+      var req = server();
+      fogbugz.__set__('request', req);
+
+      return client.search('16006')
+        .then(function(kase) {
+          expect(kase.id).to.equal('16006');
+          expect(req).to.have.been.calledThrice;
+          expect(req.secondCall).to.have.been.calledWithMatch({
+            form: {cmd: 'logon'}
+          });
+        });
+    });
+
+    it('should share one logon between requests in flight', function() {
+      var req = server();
+      fogbugz.__set__('request', req);
+
+      return Q.all([
+        client.search('16006'),
+        client.search('16006'),
+        client.listFilters().catch(function() {})
+      ])
+        .then(function() {
+          var logons = req.args.filter(function(args) {
+            return args[0].form.cmd === 'logon';
+          });
+          expect(logons).to.have.length(1);
+        });
+    });
+
+    it('should only log on again once per command', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null,
+          opts.form.cmd === 'logon' ? logonXml : notLoggedOnXml);
+      }));
+
+      return expect(client.search('16006')).to.eventually.be
+        .rejectedWith(fogbugz.NotLoggedOnError);
+    });
+
+    it('should not log on again w/o credentials', function() {
+      var req = server();
+      fogbugz.__set__('request', req);
+
+      return expect(fogbugz.createClient({
+        host: 'aaa.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      }).search('16006')).to.eventually.be
+        .rejectedWith(fogbugz.NotLoggedOnError)
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+        });
+    });
+
+    it('should retry after a transient network failure', function() {
+      var err = new Error('socket hang up');
+      var req = sandbox.spy(function(opts, cb) {
+        if (req.callCount < 3) {
+          return cb(err);
+        }
+        cb(null, null, searchXml);
+      });
+      err.code = 'ECONNRESET';
+      fogbugz.__set__('request', req);
+
+      return client.search('16006')
+        .then(function(kase) {
+          expect(kase.id).to.equal('16006');
+          expect(req).to.have.been.calledThrice;
+        });
+    });
+
+    it('should give up after the retry limit', function() {
+      var err = new Error('connect ECONNREFUSED');
+      var req = sandbox.spy(function(opts, cb) {
+        cb(err);
+      });
+      err.code = 'ECONNREFUSED';
+      fogbugz.__set__('request', req);
+
+      return expect(client.search('16006')).to.eventually.be
+        .rejectedWith(fogbugz.TransportError)
+        .then(function() {
+          expect(req).to.have.been.calledThrice;
+        });
+    });
+
+    it('should not resend commands which change things', function() {
+      var err = new Error('socket hang up');
+      var req = sandbox.spy(function(opts, cb) {
+        cb(err);
+      });
+      err.code = 'ECONNRESET';
+      fogbugz.__set__('request', req);
+
+      return expect(client.editBug(16006, {sTitle: 'foo'}))
+        .to.eventually.be.rejectedWith(fogbugz.TransportError)
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+        });
+    });
+
+    it('should resend them if they never got sent', function() {
+      var err = new Error('connect ECONNREFUSED');
+      var req = sandbox.spy(function(opts, cb) {
+        cb(err);
+      });
+      err.code = 'ECONNREFUSED';
+      fogbugz.__set__('request', req);
+
+      return expect(client.editBug(16006, {sTitle: 'foo'}))
+        .to.eventually.be.rejectedWith(fogbugz.TransportError)
+        .then(function() {
+          expect(req).to.have.been.calledThrice;
+        });
+    });
+
+    it('should not retry other failures', function() {
+      var req = sandbox.spy(function(opts, cb) {
+        cb(new Error('Invalid URI'));
+      });
+      fogbugz.__set__('request', req);
+
+      return expect(client.search('16006')).to.eventually.be
+        .rejectedWith(fogbugz.TransportError)
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+        });
+    });
+  });
+
+  describe('instrumentation', function() {
+    var client;
+    var lines;
+    var searchXml = '<response><cases count="1"><case ixBug="16006" ' +
+      'operations="edit"><sTitle><![CDATA[foo]]></sTitle></case></cases>' +
+      '</response>';
+
+    beforeEach(function() {
+      lines = [];
+      client = fogbugz.createClient({
+        host: 'aaa.fogbugz.com',
+        discover: false,
+        username: 'aaa@bbb.com',
+        password: 'Password2',
+        token: TOKEN,
+        retryDelay: 1,
+        logger: function() {
+          lines.push(require('util').format.apply(null, arguments));
+        }
+      });
+    });
+
+    it('should be an EventEmitter', function() {
+      expect(client).to.be.an.instanceof(require('events').EventEmitter);
+    });
+
+    it('should emit requests and responses, w/o secrets', function() {
+      var requests = [];
+      var responses = [];
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, {statusCode: 200}, searchXml);
+      }));
+      client.on('request', requests.push.bind(requests));
+      client.on('response', responses.push.bind(responses));
+
+      return client.search('16006')
+        .then(function() {
+          expect(requests).to.have.length(1);
+          expect(requests[0]).to.have.property('command', 'search');
+          expect(requests[0].params).to.have.property('token', '[redacted]');
+          expect(requests[0].params).to.have.property('q', '16006');
+          expect(responses[0]).to.have.property('id', requests[0].id);
+          expect(responses[0]).to.have.property('status', 200);
+          expect(responses[0]).to.have.property('size', 1);
+          expect(responses[0].duration).to.be.a('number');
+          expect(lines.join('\n')).to.contain('search 200')
+            .and.not.to.contain(TOKEN);
+        });
+    });
+
+    it('should emit retries', function() {
+      var err = new Error('socket hang up');
+      var retries = [];
+      var req = sandbox.spy(function(opts, cb) {
+        if (req.callCount < 2) {
+          return cb(err);
+        }
+        cb(null, null, searchXml);
+      });
+      err.code = 'ECONNRESET';
+      fogbugz.__set__('request', req);
+      client.on('retry', function(info, cause) {
+        retries.push(info);
+        expect(cause).to.be.an.instanceof(fogbugz.TransportError);
+      });
+
+      return client.search('16006')
+        .then(function() {
+          expect(retries).to.eql([{command: 'search', attempt: 1, delay: 1}]);
+        });
+    });
+
+    it('should emit errors sent by the server', function() {
+      var onError = sandbox.spy();
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response><error code="5"><![CDATA[No such case]]>' +
+          '</error></response>');
+      }));
+      client.on('error', onError);
+
+      return expect(client.editBug(1, {title: 'x'})).to.be.rejected
+        .then(function() {
+          expect(onError).to.have.been.calledOnce;
+          expect(onError.firstCall.args[0]).to.have.property('command',
+            'edit');
+          expect(onError.firstCall.args[1])
+            .to.be.an.instanceof(fogbugz.CaseNotFoundError)
+            .and.to.have.property('message', 'No such case');
+        });
+    });
+
+    it('should size responses by the items in their result', function() {
+      var resultSize = fogbugz.__get__('_resultSize');
+      expect(resultSize('<response><cases count="2"><case ixBug="1"/>' +
+        '<case ixBug="2"/></cases></response>')).to.equal(2);
+      expect(resultSize('<response><people><person><ixPerson>1</ixPerson>' +
+        '</person><person><ixPerson>2</ixPerson></person><person>' +
+        '<ixPerson>3</ixPerson></person></people></response>')).to.equal(3);
+      expect(resultSize('<response><case ixBug="1"><sTitle>x</sTitle>' +
+        '</case></response>')).to.equal(1);
+      expect(resultSize('<response><token>abc</token></response>'))
+        .to.equal(1);
+      expect(resultSize('<response><filters></filters></response>'))
+        .to.equal(0);
+      expect(resultSize('<response><error code="5">nope</error>' +
+        '</response>')).to.equal(0);
+      expect(resultSize('not XML')).to.equal(0);
+    });
+
+    it('should not throw errors nobody listens for', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(new Error('Invalid URI'));
+      }));
+
+      return expect(client.search('16006')).to.be
+        .rejectedWith(fogbugz.TransportError)
+        .then(function() {
+          expect(lines[1]).to.match(/search failed in \d+ms: Invalid URI/);
+        });
+    });
+  });
+
+  describe('requests', function() {
+    var server;
+    var received;
+    var client;
+    var editBugXml = '<response><case ixBug="16006" operations="edit">' +
+      '<sTitle><![CDATA[foo]]></sTitle><sFixFor><![CDATA[whenever]]>' +
+      '</sFixFor><sStatus><![CDATA[Active]]></sStatus></case></response>';
+
+    beforeEach(function(done) {
+      received = [];
+      fogbugz.__set__('request', realRequest);
+      server = http.createServer(function(req, res) {
+        var body = '';
+        req.setEncoding('utf8');
+        req.on('data', function(chunk) {
+          body += chunk;
+        });
+        req.on('end', function() {
+          received.push({
+            method: req.method,
+            url: req.url,
+            headers: req.headers,
+            raw: body,
+            body: querystring.parse(body)
+          });
+          res.end(/cmd=logon/.test(body) ?
+            '<response><token>kakapo</token></response>' : editBugXml);
+        });
+      });
+      server.listen(0, '127.0.0.1', function() {
+        client = fogbugz.createClient({
+          host: '127.0.0.1:' + server.address().port,
+          discover: false,
+          protocol: 'http',
+          username: 'aaa@bbb.com',
+          password: 'p&ss#word?',
+          token: TOKEN
+        });
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      server.close(done);
+    });
+
+    it('should POST commands w/ everything in the body', function() {
+      return client.editBug(16006, {sEvent: 'a & b # c = d'}, [])
+        .then(function() {
+          expect(received).to.have.length(1);
+          expect(received[0].method).to.equal('POST');
+          expect(received[0].url).to.equal('/api.asp');
+          expect(received[0].body).to.eql({
+            cmd: 'edit',
+            token: TOKEN,
+            ixBug: '16006',
+            cols: 'sTitle,sStatus,sPersonAssignedTo,sFixFor,tags,' +
+              'sEmailAssignedTo',
+            sEvent: 'a & b # c = d'
+          });
+        });
+    });
+
+    it('should round-trip long texts', function() {
+      var text = new Array(5000).join('ünïcödé & <stuff>\n');
+      return client.editBug(16006, {sEvent: text}, [])
+        .then(function() {
+          expect(received[0].body.sEvent).to.equal(text);
+        });
+    });
+
+    it('should send attachments as multipart', function() {
+      return client.newBug({title: 'Build failed'}, {
+        attachments: [
+          require('path').join(__dirname, 'fogbugz.conf.json'),
+          {filename: 'build.log', content: new Buffer('npm ERR! foo')}
+        ]
+      })
+        .then(function(kase) {
+          var raw = received[0].raw;
+          expect(kase).to.be.an.instanceof(fogbugz.Case);
+          expect(received[0].headers['content-type']).to
+            .match(/^multipart\/form-data/);
+          expect(raw).to.match(/name="cmd"\r\n\r\nnew\r\n/);
+          expect(raw).to.match(/name="nFileCount"\r\n\r\n2\r\n/);
+          expect(raw).to.match(/name="File1"; filename="fogbugz.conf.json"/);
+          expect(raw).to.contain('zzz.fogbugz.com');
+          expect(raw).to.match(/name="File2"; filename="build.log"/);
+          expect(raw).to.contain('npm ERR! foo');
+        });
+    });
+
+    it('should keep the password out of the URL', function() {
+      client.forgetToken();
+      return client.logon()
+        .then(function(res) {
+          expect(res.token).to.equal('kakapo');
+          expect(received[0].url).to.equal('/api.asp');
+          expect(received[0].body.password).to.equal('p&ss#word?');
+        });
+    });
+
+    it('should honor the port, base path and headers', function() {
+      var port = server.address().port;
+      client = fogbugz.createClient({
+        host: '127.0.0.1',
+        discover: false,
+        port: port,
+        basePath: 'fogbugz/',
+        protocol: 'http:',
+        headers: {'X-Team': 'web'},
+        token: TOKEN
+      });
+      return client.editBug(16006, {sEvent: 'x'}, [])
+        .then(function(kase) {
+          expect(received[0].url).to.equal('/fogbugz/api.asp');
+          expect(received[0].headers['x-team']).to.equal('web');
+          expect(kase.url).to.equal(format(
+            'http://127.0.0.1:%d/fogbugz/default.asp?16006', port));
+        });
+    });
+
+    it('should give up on requests which time out', function() {
+      var silent = http.createServer(_.noop);
+      return Q.ninvoke(silent, 'listen', 0, '127.0.0.1')
+        .then(function() {
+          client = fogbugz.createClient({
+            host: '127.0.0.1:' + silent.address().port,
+            discover: false,
+            protocol: 'http',
+            timeout: 50,
+            retries: 0,
+            token: TOKEN
+          });
+          return expect(client.search('16006'))
+            .to.be.rejectedWith(fogbugz.TransportError);
+        })
+        .fin(function() {
+          silent.close();
+        });
+    });
+  });
+
+  describe('transport options', function() {
+    it('should pass the proxy and TLS options along', function() {
+      var req = sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response><filters><filter type="builtin" ' +
+          'sFilter="ez">My Cases</filter></filters></response>');
+      });
+      var client = fogbugz.createClient({
+        host: 'fogbugz.example.com',
+        discover: false,
+        port: 8443,
+        basePath: '/fogbugz',
+        proxy: 'http://proxy.example.com:3128',
+        ca: 'PEM',
+        rejectUnauthorized: false,
+        token: TOKEN
+      });
+      fogbugz.__set__('request', req);
+
+      return client.listFilters()
+        .then(function(filters) {
+          expect(req.firstCall.args[0]).to.have.property('url',
+            'https://fogbugz.example.com:8443/fogbugz/api.asp');
+          expect(req.firstCall.args[0]).to.have.property('proxy',
+            'http://proxy.example.com:3128');
+          expect(req.firstCall.args[0]).to.have.property('ca', 'PEM');
+          expect(req.firstCall.args[0])
+            .to.have.property('rejectUnauthorized', false);
+          expect(filters[0].url).to.equal('https://fogbugz.example.com:8443' +
+            '/fogbugz/default.asp?pgx=LF&ixFilter=ez');
+        });
+    });
+
+    it('should verify certificates by default', function() {
+      var client = fogbugz.createClient({host: 'fogbugz.example.com'});
+      expect(client._transport()).to.eql({
+        headers: {},
+        rejectUnauthorized: true
+      });
+      expect(client.baseUrl()).to.equal('https://fogbugz.example.com');
+    });
+  });
+
   describe('editBug()', function() {
     var emptyXml = '<response></response>';
     var editBugXml = '<response><case ixBug="16006" ' +
@@ -25,156 +579,2246 @@ describe('fogbugz', function() {
       '</sFooBar></case></response>';
 
     beforeEach(function() {
-      fogbugz.setToken(TOKEN);
+      fogbugz.setToken(TOKEN);
+    });
+
+    afterEach(function() {
+      fogbugz.forgetToken();
+    });
+
+    function editBugRequest(xml) {
+      return sandbox.spy(function(opts, cb) {
+        cb(null, null, xml || editBugXml);
+      });
+    }
+
+    it('should fail if id is not found', function() {
+      fogbugz.__set__('request', editBugRequest(emptyXml));
+
+      return expect(fogbugz.editBug(16227, {}, []))
+        .to.eventually.be.rejectedWith(fogbugz.MODULE_ERRORS.xmlParseError);
+    });
+
+    it('should reject with an XmlParseError if id is not found', function() {
+      fogbugz.__set__('request', editBugRequest(emptyXml));
+
+      return expect(fogbugz.editBug(16227, {}, []))
+        .to.eventually.be.rejectedWith(fogbugz.XmlParseError);
+    });
+
+    it('should reject with the error sent by the server', function() {
+      var xml = '<response><error code="5">Case 16227 does not exist' +
+        '</error></response>';
+      fogbugz.__set__('request', editBugRequest(xml));
+
+      return fogbugz.editBug(16227, {}, [])
+        .then(function() {
+          throw new Error('should have been rejected');
+        }, function(err) {
+          expect(err).to.be.an.instanceof(fogbugz.CaseNotFoundError);
+          expect(err.code).to.equal(5);
+          expect(err.command).to.equal('edit');
+          expect(err.body).to.equal(xml);
+          expect(err.message).to.equal('Case 16227 does not exist');
+        });
+    });
+
+    it('should find the requested bug', function() {
+      var testId = '16006';
+
+      fogbugz.__set__('request', editBugRequest(editBugXml));
+
+      return fogbugz.editBug(testId, {}, [])
+        .then(function(fbzCase) {
+          expect(fbzCase.id).to.equal(testId);
+          expect(fbzCase.title)
+            .to.equal('AQ toolkit API: bar chart shown and selected for text');
+        });
+    });
+  });
+
+  describe('newBug()', function() {
+    var newBugXml = '<response><case ixBug="16007" ' +
+      'operations="edit,assign,resolve,email,remind"><sTitle>' +
+      '<![CDATA[Build failed]]></sTitle><sFixFor><![CDATA[whenever]]>' +
+      '</sFixFor><sStatus><![CDATA[Active]]></sStatus></case></response>';
+
+    beforeEach(function() {
+      fogbugz.setToken(TOKEN);
+    });
+
+    afterEach(function() {
+      fogbugz.forgetToken();
+      fogbugz.clearLookups();
+    });
+
+    it('should open a case and resolve with it', function() {
+      var req = sandbox.spy(function(opts, cb) {
+        if (opts.form.cmd === 'listProjects') {
+          return cb(null, null, '<response><projects><project>' +
+            '<ixProject>12</ixProject><sProject><![CDATA[Website]]>' +
+            '</sProject></project></projects></response>');
+        }
+        if (opts.form.cmd === 'listPeople') {
+          return cb(null, null, '<response><people><person>' +
+            '<ixPerson>5</ixPerson><sFullName><![CDATA[Jane Doe]]>' +
+            '</sFullName></person></people></response>');
+        }
+        cb(null, null, newBugXml);
+      });
+      fogbugz.__set__('request', req);
+
+      return fogbugz.newBug({
+        title: 'Build failed',
+        project: 'Website',
+        area: 7,
+        priority: 2,
+        assignedTo: 'Jane Doe',
+        event: 'See attached & weep',
+        tags: ['ci', 'build'],
+        parent: 16006,
+        sVersion: '1.2.3'
+      })
+        .then(function(kase) {
+          expect(kase).to.be.an.instanceof(fogbugz.Case);
+          expect(kase.id).to.equal('16007');
+          expect(kase.title).to.equal('Build failed');
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'new',
+              token: TOKEN,
+              sTitle: 'Build failed',
+              ixProject: '12',
+              ixArea: '7',
+              ixPriority: '2',
+              ixPersonAssignedTo: '5',
+              sEvent: 'See attached & weep',
+              sTags: 'ci,build',
+              ixBugParent: '16006',
+              sVersion: '1.2.3'
+            }
+          });
+        });
+    });
+
+    it('should send Buffers and streams as files', function() {
+      var stream = require('fs').createReadStream(__filename);
+      var buf = new Buffer('log');
+      var req = sandbox.spy(function(opts, cb) {
+        cb(null, null, newBugXml);
+      });
+      fogbugz.__set__('request', req);
+
+      return fogbugz.newBug({title: 'Build failed'}, {
+        attachments: [buf, stream]
+      })
+        .then(function() {
+          var formData = req.firstCall.args[0].formData;
+          expect(req.firstCall.args[0].form).to.be.undefined;
+          expect(formData.nFileCount).to.equal('2');
+          expect(formData.File1).to.eql({
+            value: buf,
+            options: {filename: 'File1'}
+          });
+          expect(formData.File2.value).to
+            .eql(require('fs').readFileSync(__filename));
+          expect(formData.File2.options.filename).to
+            .equal('fogbugz.spec.js');
+        });
+    });
+
+    it('should reject if no case comes back', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response></response>');
+      }));
+
+      return expect(fogbugz.newBug({title: 'Build failed'})).to.eventually
+        .be.rejectedWith(fogbugz.XmlParseError);
+    });
+  });
+
+  describe('workflow', function() {
+    function caseXml(operations, status) {
+      return '<response><case ixBug="16006" operations="' + operations +
+        '"><sTitle><![CDATA[foo]]></sTitle><sFixFor><![CDATA[whenever]]>' +
+        '</sFixFor><sStatus><![CDATA[' + status + ']]></sStatus></case>' +
+        '</response>';
+    }
+
+    function searchXml(operations) {
+      return '<response><cases count="1">' +
+        caseXml(operations, 'Active')
+          .replace(/^<response>|<\/response>$/g, '') +
+        '</cases></response>';
+    }
+
+    beforeEach(function() {
+      fogbugz.setToken(TOKEN);
+    });
+
+    afterEach(function() {
+      fogbugz.forgetToken();
+      fogbugz.clearLookups();
+    });
+
+    it('should resolve a Case and return the refreshed Case', function() {
+      var kase = new fogbugz.Case({
+        id: '16006',
+        operations: ['edit', 'resolve']
+      });
+      var req = sandbox.spy(function(opts, cb) {
+        cb(null, null, caseXml('edit,reactivate,close', 'Resolved (Fixed)'));
+      });
+      fogbugz.__set__('request', req);
+
+      return kase.resolve({ixStatus: 2, event: 'fixed & shipped'})
+        .then(function(resolved) {
+          expect(resolved).to.be.an.instanceof(fogbugz.Case);
+          expect(resolved.status).to.equal('Resolved (Fixed)');
+          expect(resolved.operations).to.eql(['edit', 'reactivate', 'close']);
+          expect(req).to.have.been.calledOnce;
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'resolve',
+              ixBug: '16006',
+              ixStatus: '2',
+              sEvent: 'fixed & shipped',
+              token: TOKEN
+            }
+          });
+        });
+    });
+
+    it('should refuse operations the Case does not permit', function() {
+      var kase = new fogbugz.Case({
+        id: '16006',
+        operations: ['edit', 'resolve']
+      });
+      var req = sandbox.spy();
+      fogbugz.__set__('request', req);
+
+      return expect(kase.close()).to.eventually.be
+        .rejectedWith(fogbugz.OperationNotPermittedError,
+          'case 16006 does not permit operation "close"')
+        .then(function() {
+          expect(req).not.to.have.been.called;
+        });
+    });
+
+    it('should fetch the case before acting upon it by ID', function() {
+      var req = sandbox.spy(function(opts, cb) {
+        if (opts.form.cmd === 'search') {
+          return cb(null, null, searchXml('edit,assign,resolve'));
+        }
+        cb(null, null, caseXml('edit,assign,resolve', 'Active'));
+      });
+      fogbugz.__set__('request', req);
+
+      return fogbugz.assignBug(16006, {assignedTo: 7})
+        .then(function(kase) {
+          expect(kase.id).to.equal('16006');
+          expect(req).to.have.been.calledTwice;
+          expect(req.secondCall).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'assign',
+              ixBug: '16006',
+              ixPersonAssignedTo: '7'
+            }
+          });
+        });
+    });
+
+    it('should check operations when acting by ID', function() {
+      var req = sandbox.spy(function(opts, cb) {
+        cb(null, null, searchXml('edit,assign,resolve'));
+      });
+      fogbugz.__set__('request', req);
+
+      return expect(fogbugz.reopenBug(16006)).to.eventually.be
+        .rejectedWith(fogbugz.OperationNotPermittedError)
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+        });
+    });
+
+    it('should not check operations against a cached case', function() {
+      var client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN,
+        cache: {search: 60000}
+      });
+      var operations = 'edit,resolve';
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        if (opts.form.cmd === 'search') {
+          return cb(null, null, searchXml(operations));
+        }
+        cb(null, null, caseXml('edit,resolve', 'Active'));
+      }));
+
+      return client.getBug(16006)
+        .then(function() {
+          operations = 'edit,reopen';
+          return client.reopenBug(16006);
+        })
+        .then(function(kase) {
+          expect(kase.status).to.equal('Active');
+        });
+    });
+  });
+
+  describe('bulkEdit()', function() {
+    var server;
+    var client;
+
+    before(function() {
+      server = require('../testing').createServer({
+        fixtures: {
+          cases: [
+            {ixBug: 1, sTitle: 'One', sProject: 'Web', tags: ['old']},
+            {ixBug: 2, sTitle: 'Two', sProject: 'Web', tags: ['new']},
+            {ixBug: 3, sTitle: 'Three', sProject: 'Web', fOpen: false,
+              sStatus: 'Closed (Fixed)'},
+            {ixBug: 4, sTitle: 'Four', sProject: 'Web', tags: ['old']},
+            {ixBug: 5, sTitle: 'Five', sProject: 'App', tags: ['old']}
+          ]
+        }
+      });
+      return server.listen();
+    });
+
+    after(function() {
+      return server.close();
+    });
+
+    beforeEach(function() {
+      fogbugz.__set__('request', realRequest);
+      return server.reset()
+        .then(function() {
+          client = fogbugz.createClient(server.clientOptions());
+          return client.logon();
+        });
+    });
+
+    it('should edit matching cases, and report on each', function() {
+      var progress = [];
+      return client.bulkEdit('project:Web', {tags: ['new']}, {
+        comment: 'Retagged',
+        concurrency: 2
+      })
+        .progress(function(p) {
+          progress.push(p);
+        })
+        .then(function(report) {
+          expect(report.total).to.equal(4);
+          expect(_.pluck(report.succeeded, 'id').sort()).to.eql(['1', '4']);
+          expect(report.succeeded[0].changes).to.eql({
+            sTags: {from: 'old', to: ['new']}
+          });
+          expect(_.pluck(report.skipped, 'id').sort()).to.eql(['2', '3']);
+          expect(_.find(report.skipped, {id: '3'}).reason)
+            .to.match(/does not permit operation "edit"/);
+          expect(report.failed).to.eql([]);
+          expect(server.getCase(1).tags).to.eql(['new']);
+          expect(server.getCase(5).tags).to.eql(['old']);
+          expect(_.last(server.getEvents(4)).s).to.equal('Retagged');
+          expect(progress).to.have.length(4);
+          expect(_.last(progress)).to.have.property('done', 4);
+          expect(_.last(progress)).to.have.property('total', 4);
+        });
+    });
+
+    it('should send nothing on a dry run', function() {
+      return client.bulkEdit('project:Web', {tags: ['new']}, {dryRun: true})
+        .then(function(report) {
+          expect(_.pluck(report.planned, 'id').sort()).to.eql(['1', '4']);
+          expect(report.succeeded).to.eql([]);
+          expect(_.pluck(server.requests, 'cmd')).not.to.contain('edit');
+          expect(server.getCase(1).tags).to.eql(['old']);
+        });
+    });
+
+    it('should report failures, and carry on', function() {
+      var editBug = client._editBug;
+      sandbox.stub(client, '_editBug', function(id) {
+        if (id === '1') {
+          return Q.reject(new fogbugz.FogBugzError('nope'));
+        }
+        return editBug.apply(client, arguments);
+      });
+      return client.bulkEdit('project:Web', {tags: ['new']}, {concurrency: 1})
+        .then(function(report) {
+          expect(report.failed).to.have.length(1);
+          expect(report.failed[0].error).to.have.property('message', 'nope');
+          expect(_.pluck(report.succeeded, 'id')).to.eql(['4']);
+        });
+    });
+
+    it('should add a comment to every case, if that is all', function() {
+      return client.bulkEdit('project:Web', {}, {comment: 'Triaged'})
+        .then(function(report) {
+          expect(_.pluck(report.succeeded, 'id').sort())
+            .to.eql(['1', '2', '4']);
+          expect(report.succeeded[0].changes).to.eql({});
+          expect(_.last(server.getEvents(2)).s).to.equal('Triaged');
+        });
+    });
+
+    it('should not go by cached search results', function() {
+      var other = fogbugz.createClient(server.clientOptions());
+      client = fogbugz.createClient(_.extend(server.clientOptions(), {
+        cache: {search: 60000}
+      }));
+      return Q.all([client.logon(), other.logon()])
+        .then(function() {
+          return client.search('project:Web',
+            _.union(fogbugz.__get__('DEFAULT_COLS'), ['tags']));
+        })
+        .then(function() {
+          return other.editBug(2, {tags: ['old']});
+        })
+        .then(function() {
+          return client.bulkEdit('project:Web', {tags: ['new']});
+        })
+        .then(function(report) {
+          expect(_.pluck(report.succeeded, 'id').sort())
+            .to.eql(['1', '2', '4']);
+          expect(server.getCase(2).tags).to.eql(['new']);
+        });
+    });
+
+    it('should report nothing if nothing matches', function() {
+      return expect(client.bulkEdit('project:Nonesuch', {tags: ['x']}))
+        .to.eventually.have.property('total', 0);
+    });
+  });
+
+  describe('getBugEvents()', function() {
+    var xml = '<response><cases count="1"><case ixBug="16006" ' +
+      'operations="edit"><sTitle><![CDATA[foo]]></sTitle><sFixFor>' +
+      '<![CDATA[whenever]]></sFixFor><sStatus><![CDATA[Active]]></sStatus>' +
+      '<events><event ixBugEvent="101" ixBug="16006"><ixBugEvent>101' +
+      '</ixBugEvent><evt>1</evt><sVerb><![CDATA[Opened]]></sVerb>' +
+      '<ixPerson>2</ixPerson><sPerson><![CDATA[Jane Doe]]></sPerson>' +
+      '<dt>2015-05-06T22:47:59Z</dt><s><![CDATA[It broke.]]></s>' +
+      '<sChanges></sChanges><evtDescription><![CDATA[Opened by Jane Doe]]>' +
+      '</evtDescription><rgAttachments><attachment><sFileName>' +
+      '<![CDATA[build.log]]></sFileName><sURL><![CDATA[default.asp?' +
+      'pg=pgDownload&pgType=pgFile&ixBugEvent=101&ixAttachment=7&' +
+      'sFileName=build.log&sTicket=]]></sURL></attachment>' +
+      '</rgAttachments></event><event ixBugEvent="102" ixBug="16006">' +
+      '<sVerb><![CDATA[Edited]]></sVerb><ixPerson>3</ixPerson><sPerson>' +
+      '<![CDATA[John Doe]]></sPerson><dt>2015-05-07T10:00:00Z</dt><s/>' +
+      '<sHtml><![CDATA[<p>Looking</p>]]></sHtml><sChanges><![CDATA[' +
+      'Priority changed from \'3\' to \'1\'.\r\nTitle changed from ' +
+      '\'bar\' to \'foo\'.\r\n]]></sChanges><rgAttachments/>' +
+      '</event></events></case></cases></response>';
+
+    beforeEach(function() {
+      fogbugz.setToken(TOKEN);
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, xml);
+      }));
+    });
+
+    afterEach(function() {
+      fogbugz.forgetToken();
+    });
+
+    it('should ask for the events column', function() {
+      return fogbugz.getBugEvents(16006)
+        .then(function() {
+          expect(fogbugz.__get__('request')).to.have.been.calledWithMatch({
+            form: {
+              q: '16006',
+              cols: sinon.match(/,events$/)
+            }
+          });
+        });
+    });
+
+    it('should parse events into BugEvents', function() {
+      return fogbugz.getBugEvents(16006)
+        .then(function(events) {
+          expect(events).to.have.length(2);
+          expect(events[0]).to.be.an.instanceof(fogbugz.BugEvent);
+          expect(events[0].id).to.equal('101');
+          expect(events[0].bugId).to.equal('16006');
+          expect(events[0].verb).to.equal('Opened');
+          expect(events[0].person).to.equal('Jane Doe');
+          expect(events[0].date).to.eql(new Date(Date.UTC(2015, 4, 6, 22,
+            47, 59)));
+          expect(events[0].text).to.equal('It broke.');
+          expect(events[0].html).to.be.null;
+          expect(events[0].changes).to.eql([]);
+          expect(events[0].attachments).to.eql([{
+            filename: 'build.log',
+            url: 'https://zzz.fogbugz.com/default.asp?pg=pgDownload&' +
+              'pgType=pgFile&ixBugEvent=101&ixAttachment=7&' +
+              'sFileName=build.log&sTicket='
+          }]);
+          expect(events[1].text).to.equal('');
+          expect(events[1].html).to.equal('<p>Looking</p>');
+          expect(events[1].changes).to.eql([
+            'Priority changed from \'3\' to \'1\'.',
+            'Title changed from \'bar\' to \'foo\'.'
+          ]);
+          expect(events[1].attachments).to.eql([]);
+        });
+    });
+
+    it('should put events on Cases from search()', function() {
+      return fogbugz.search('16006', ['sTitle', 'events'])
+        .then(function(kase) {
+          expect(kase.events).to.have.length(2);
+          expect(kase.events[1]).to.be.an.instanceof(fogbugz.BugEvent);
+        });
+    });
+  });
+
+  describe('searchAll()', function() {
+    var ids = ['3', '1', '2', '5', '4'];
+    var req;
+
+    function casesXml(caseIds, withTitle) {
+      return '<response><cases count="' + caseIds.length + '">' +
+        caseIds.map(function(id) {
+          return '<case ixBug="' + id + '" operations="edit">' +
+            (withTitle ? '<sTitle><![CDATA[Case ' + id + ']]></sTitle>' :
+              '<ixBug>' + id + '</ixBug>') + '</case>';
+        }).join('') + '</cases></response>';
+    }
+
+    function collect(stream) {
+      var dfrd = Q.defer();
+      var cases = [];
+      stream.on('data', function(kase) {
+        cases.push(kase);
+      });
+      stream.on('error', dfrd.reject);
+      stream.on('end', function() {
+        dfrd.resolve(cases);
+      });
+      return dfrd.promise;
+    }
+
+    beforeEach(function() {
+      fogbugz.setToken(TOKEN);
+      req = sandbox.spy(function(opts, cb) {
+        var page;
+        if (opts.form.cols === 'ixBug') {
+          return cb(null, null, casesXml(ids));
+        }
+        // answer in a different order than asked, minus deleted case 5
+        page = opts.form.q.replace('ixBug:', '').split(',')
+          .filter(function(id) {
+            return id !== '5';
+          })
+          .sort();
+        setTimeout(function() {
+          cb(null, null, casesXml(page, true));
+        });
+      });
+      fogbugz.__set__('request', req);
+    });
+
+    afterEach(function() {
+      fogbugz.forgetToken();
+    });
+
+    it('should find all IDs, then pull cases a page at a time', function() {
+      return collect(fogbugz.searchAll('project:Website', ['sTitle'], {
+        pageSize: 2
+      }))
+        .then(function(cases) {
+          expect(req.firstCall).to.have.been.calledWithMatch({
+            form: {
+              q: 'project:Website',
+              cols: 'ixBug'
+            }
+          });
+          expect(req.firstCall.args[0].form.max).to.be.undefined;
+          expect(req).to.have.callCount(4);
+          expect(req.secondCall).to.have.been.calledWithMatch({
+            form: {
+              q: 'ixBug:3,1',
+              cols: 'sTitle',
+              max: '2'
+            }
+          });
+          expect(_.pluck(cases, 'id')).to.eql(['3', '1', '2', '4']);
+          cases.forEach(function(kase) {
+            expect(kase).to.be.an.instanceof(fogbugz.Case);
+            expect(kase.title).to.equal('Case ' + kase.id);
+          });
+        });
+    });
+
+    it('should end at once if nothing matches', function() {
+      ids = [];
+      return collect(fogbugz.searchAll('project:Nowhere'))
+        .then(function(cases) {
+          expect(cases).to.eql([]);
+          expect(req).to.have.been.calledOnce;
+        });
+    });
+
+    it('should emit errors', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response><error code="10">Search problem</error>' +
+          '</response>');
+      }));
+      return expect(collect(fogbugz.searchAll('x:'))).to.eventually.be
+        .rejectedWith(fogbugz.FogBugzError, 'Search problem');
+    });
+
+    it('should be an async iterator', function() {
+      var iterator;
+      ids = ['1', '2', '3'];
+      if (typeof Symbol === 'undefined' || !Symbol.asyncIterator) {
+        return this.skip();
+      }
+      iterator = fogbugz.searchAll('project:Website', ['sTitle'])[
+        Symbol.asyncIterator]();
+      return iterator.next()
+        .then(function(result) {
+          expect(result.done).to.be.false;
+          expect(result.value.id).to.equal('1');
+          return iterator.return();
+        });
+    });
+  });
+
+  describe('discover()', function() {
+    var client;
+
+    /**
+     * Fakes a server publishing `api.xml`.
+     * @param {string} apiXml Body of `api.xml`
+     * @returns {Function} Spy standing in for `request`
+     */
+    function server(apiXml) {
+      return sandbox.spy(function(opts, cb) {
+        if (/\/api\.xml$/.test(opts.url)) {
+          return cb(null, {statusCode: 200}, apiXml);
+        }
+        cb(null, {statusCode: 200}, '<response></response>');
+      });
+    }
+
+    beforeEach(function() {
+      client = fogbugz.createClient({
+        host: 'fogbugz.example.com',
+        basePath: '/fogbugz',
+        token: TOKEN
+      });
+    });
+
+    it('should resolve the endpoint and version', function() {
+      var req = server('<response><version>8</version><minversion>1' +
+        '</minversion><url>api.asp?</url></response>');
+      fogbugz.__set__('request', req);
+
+      return client.discover()
+        .then(function(api) {
+          expect(api).to.eql({
+            version: 8,
+            minVersion: 1,
+            url: 'https://fogbugz.example.com/fogbugz/api.asp'
+          });
+          expect(client.apiVersion).to.equal(8);
+          expect(req.firstCall.args[0]).to.have.property('method', 'GET');
+          return client.discover();
+        })
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+        });
+    });
+
+    it('should send commands to the endpoint it names', function() {
+      var req = server('<response><version>8</version><minversion>1' +
+        '</minversion><url>/elsewhere/api.asp?</url></response>');
+      fogbugz.__set__('request', req);
+
+      return client.stopWork()
+        .then(function() {
+          expect(req).to.have.been.calledTwice;
+          expect(req.secondCall.args[0]).to.have.property('url',
+            'https://fogbugz.example.com/elsewhere/api.asp');
+        });
+    });
+
+    it('should refuse servers which need a newer API', function() {
+      fogbugz.__set__('request', server('<response><version>12</version>' +
+        '<minversion>9</minversion><url>api.asp?</url></response>'));
+
+      return expect(client.discover())
+        .to.be.rejectedWith(fogbugz.UnsupportedVersionError,
+          /requires API version 9/)
+        .then(function() {
+          expect(client.apiVersion).to.be.null;
+        });
+    });
+
+    it('should refuse commands the server lacks', function() {
+      var req = server('<response><version>4</version><minversion>1' +
+        '</minversion><url>api.asp?</url></response>');
+      fogbugz.__set__('request', req);
+
+      return client.discover()
+        .then(function() {
+          expect(client.supports('startWork')).to.be.false;
+          expect(client.supports('search')).to.be.true;
+          return expect(client.startWork(1))
+            .to.be.rejectedWith(fogbugz.UnsupportedVersionError,
+              /needs API version 5/);
+        })
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+        });
+    });
+
+    it('should carry on if the server has no api.xml', function() {
+      var req = server('<html>Not Found</html>');
+      fogbugz.__set__('request', req);
+
+      return client.stopWork()
+        .then(function() {
+          return client.stopWork();
+        })
+        .then(function() {
+          expect(req).to.have.been.calledThrice;
+          expect(req.thirdCall.args[0]).to.have.property('url',
+            'https://fogbugz.example.com/fogbugz/api.asp');
+          expect(client.apiVersion).to.be.null;
+        });
+    });
+
+    it('should not discover if told not to', function() {
+      var req = server();
+      fogbugz.__set__('request', req);
+      client.conf.discover = false;
+
+      return client.stopWork()
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+          expect(req.firstCall.args[0]).to.have.property('method', 'POST');
+        });
+    });
+
+    it('should reject, not throw, w/o a default client', function() {
+      var revert = fogbugz.__set__('getDefaultClient', function() {
+        throw new Error('no config');
+      });
+      return expect(fogbugz.discover().fin(revert))
+        .to.be.rejectedWith('no config');
+    });
+
+    it('should reject if api.xml is no good', function() {
+      fogbugz.__set__('request', server('<response></response>'));
+      return expect(client.discover())
+        .to.be.rejectedWith(fogbugz.XmlParseError);
+    });
+
+    it('should retry reads whose discovery fails in transit', function() {
+      var reset = new Error('socket hang up');
+      var retries = [];
+      var req = sandbox.spy(function(opts, cb) {
+        if (req.callCount < 2) {
+          return cb(reset);
+        }
+        if (/\/api\.xml$/.test(opts.url)) {
+          return cb(null, {statusCode: 200}, '<response><version>8' +
+            '</version><url>api.asp?</url></response>');
+        }
+        cb(null, {statusCode: 200}, '<response><cases count="1">' +
+          '<case ixBug="1"></case></cases></response>');
+      });
+      reset.code = 'ECONNRESET';
+      fogbugz.__set__('request', req);
+      client.conf.retryDelay = 1;
+      client.on('retry', function(info) {
+        retries.push(info);
+      });
+
+      return client.search('1')
+        .then(function(kase) {
+          expect(kase.id).to.equal('1');
+          expect(req).to.have.been.calledThrice;
+          expect(retries).to.eql([{command: 'search', attempt: 1, delay: 1}]);
+        });
+    });
+
+    it('should name the command whose discovery failed', function() {
+      var reset = new Error('socket hang up');
+      reset.code = 'ECONNRESET';
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(reset);
+      }));
+
+      return expect(client.stopWork())
+        .to.be.rejectedWith(fogbugz.TransportError)
+        .then(function(err) {
+          expect(err).to.have.property('command', 'stopWork');
+          expect(err).to.have.property('cause', reset);
+        });
+    });
+
+    it('should queue api.xml, and emit its events', function() {
+      var inFlight = 0;
+      var maxInFlight = 0;
+      var requests = [];
+      var responses = [];
+      var apiXml = '<response><version>8</version><url>api.asp?</url>' +
+        '</response>';
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setTimeout(function() {
+          inFlight--;
+          cb(null, {statusCode: 200}, /\/api\.xml$/.test(opts.url) ?
+            apiXml : '<response></response>');
+        }, 5);
+      }));
+      client.conf.discover = false;
+      client.conf.concurrency = 1;
+      client.on('request', function(info) {
+        requests.push(info.command);
+      });
+      client.on('response', function(info) {
+        responses.push(info.command);
+      });
+
+      return Q.all([client.discover(), client.stopWork()])
+        .then(function() {
+          expect(maxInFlight).to.equal(1);
+          expect(requests).to.eql(['api.xml', 'stopWork']);
+          expect(responses).to.eql(['api.xml', 'stopWork']);
+        });
+    });
+  });
+
+  describe('logon()', function() {
+    it('should fail if error received', function() {
+      var msg = 'error';
+
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(msg);
+      }));
+
+      return expect(fogbugz.logon()).to.eventually.be.rejectedWith(msg);
+    });
+
+    it('should reject with a TransportError', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(new Error('ECONNREFUSED'));
+      }));
+
+      return expect(fogbugz.logon()).to.eventually.be
+        .rejectedWith(fogbugz.TransportError, 'ECONNREFUSED');
+    });
+
+    it('should reject with an AuthenticationError', function() {
+      var xml = '<response><error code="1"><![CDATA[Incorrect password or ' +
+        'username]]></error></response>';
+
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, xml);
+      }));
+
+      return expect(fogbugz.logon()).to.eventually.be
+        .rejectedWith(fogbugz.AuthenticationError,
+          'Incorrect password or username');
+    });
+
+    it('should successfully login', function() {
+      var token = TOKEN;
+      var xml = '<response><token><![CDATA[' + token +
+        ']]></token></response>';
+
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, xml);
+      }));
+
+      return fogbugz.logon()
+        .then(function(res) {
+          expect(res.token).to.equal(token);
+          expect(res.cached).to.be.false;
+        })
+        .then(fogbugz.logon)
+        .then(function(res) {
+          expect(res.token).to.equal(token);
+          expect(res.cached).to.exist;
+        });
+    });
+  });
+
+  describe('logoff()', function() {
+    it('should fail w/o presence of token', function() {
+      fogbugz.forgetToken();
+      return expect(fogbugz.logoff()).to.eventually.be
+        .rejectedWith(fogbugz.MODULE_ERRORS.undefinedToken);
+    });
+
+    it('should reject with a NotLoggedOnError w/o token', function() {
+      fogbugz.forgetToken();
+      return expect(fogbugz.logoff()).to.eventually.be
+        .rejectedWith(fogbugz.NotLoggedOnError);
+    });
+
+    it('should fail if error received', function() {
+      var msg = 'error';
+
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(msg);
+      }));
+
+      fogbugz.setToken(TOKEN);
+      return expect(fogbugz.logoff()).to.eventually.be.rejectedWith(msg)
+        .then(function() {
+          fogbugz.forgetToken();
+        });
+    });
+
+    it('should succeed if no error (?)', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb();
+      }));
+      fogbugz.setToken(TOKEN);
+      return expect(fogbugz.logoff()).to.eventually.be.true
+        .then(function() {
+          fogbugz.forgetToken();
+        });
+    });
+  });
+
+  describe('token store', function() {
+    var KEY = 'me@zzz.com@zzz.fogbugz.com';
+    var store;
+    var cmds;
+
+    function createClient(responses) {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cmds.push(opts.form.cmd);
+        cb(null, null, responses[opts.form.cmd]);
+      }));
+      return fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        username: 'me@zzz.com',
+        password: 'Password1',
+        tokenStore: store
+      });
+    }
+
+    beforeEach(function() {
+      store = new fogbugz.MemoryTokenStore();
+      cmds = [];
+    });
+
+    it('should keep a new token', function() {
+      return createClient({
+        logon: '<response><token>fresh</token></response>'
+      }).logon()
+        .then(function(res) {
+          expect(res).to.eql({token: 'fresh', cached: false});
+          return expect(store.get(KEY)).to.eventually.equal('fresh');
+        });
+    });
+
+    it('should reuse a stored token the server accepts', function() {
+      var tokens = {};
+      store = {
+        get: function(key) {
+          return tokens[key];
+        },
+        set: function(key, token) {
+          tokens[key] = token;
+        },
+        delete: function(key) {
+          delete tokens[key];
+        }
+      };
+      tokens[KEY] = 'kept';
+      return createClient({
+        viewPerson: '<response><person><ixPerson>5</ixPerson></person>' +
+          '</response>'
+      }).logon()
+        .then(function(res) {
+          expect(res).to.eql({token: 'kept', cached: true});
+          expect(cmds).to.eql(['viewPerson']);
+        });
+    });
+
+    it('should log on again if the stored token is stale', function() {
+      return store.set(KEY, 'stale')
+        .then(function() {
+          return createClient({
+            viewPerson: '<response><error code="3">Not logged on</error>' +
+              '</response>',
+            logon: '<response><token>fresh</token></response>'
+          }).logon();
+        })
+        .then(function(res) {
+          expect(res.token).to.equal('fresh');
+          expect(cmds).to.eql(['viewPerson', 'logon']);
+          return expect(store.get(KEY)).to.eventually.equal('fresh');
+        });
+    });
+
+    it('should drop the token when forgotten or logged off', function() {
+      var client = createClient({logoff: '<response></response>'});
+      return client.setToken('kept')
+        .then(function() {
+          expect(store._tokens[KEY]).to.equal('kept');
+          return client.forgetToken();
+        })
+        .then(function() {
+          expect(store._tokens).to.eql({});
+          return client.setToken('kept');
+        })
+        .then(function() {
+          return client.logoff();
+        })
+        .then(function() {
+          expect(store._tokens).to.eql({});
+          return expect(client.logoff()).to.eventually.be
+            .rejectedWith(fogbugz.NotLoggedOnError);
+        });
+    });
+  });
+
+  describe('listFilters()', function() {
+    beforeEach(function() {
+      fogbugz.setToken(TOKEN);
+    });
+
+    afterEach(function() {
+      fogbugz.forgetToken();
+    });
+
+    it('should get a list of available filters', function() {
+      var filtersXml = '<response><filters><filter type="builtin" ' +
+        'sFilter="ez" status="current">My Cases</filter><filter ' +
+        'type="builtin" sFilter="inbox">Inbox</filter></filters>' +
+        '</response>';
+
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, filtersXml);
+      }));
+
+      return expect(fogbugz.listFilters()).to.eventually.eql([
+        new fogbugz.Filter({
+          'name': 'My Cases',
+          'type': 'builtin',
+          'id': 'ez',
+          'current': true,
+          'url': 'https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=ez'
+        }),
+        new fogbugz.Filter({
+          'name': 'Inbox',
+          'type': 'builtin',
+          'id': 'inbox',
+          'current': false,
+          'url': 'https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=inbox'
+        })
+      ]);
+    });
+  });
+
+  describe('setCurrentFilter()', function() {
+    beforeEach(function() {
+      fogbugz.setToken(TOKEN);
+    });
+
+    afterEach(function() {
+      fogbugz.forgetToken();
+    });
+
+    it('shoud set the current filter', function() {
+      var xml = '<response></response>';
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, xml);
+      }));
+      return expect(fogbugz.setCurrentFilter('ez')).to.eventually.be.true;
+    });
+
+    it('should reject if the server sends an error', function() {
+      var xml = '<response><error code="4">Missing sFilter</error>' +
+        '</response>';
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, xml);
+      }));
+      return expect(fogbugz.setCurrentFilter('ez')).to.eventually.be
+        .rejectedWith(fogbugz.MissingArgumentError);
+    });
+  });
+
+  describe('lookups', function() {
+    var client;
+    var lists = {
+      listProjects: '<response><projects><project><ixProject>1</ixProject>' +
+        '<sProject><![CDATA[Inbox]]></sProject><ixPersonOwner>2' +
+        '</ixPersonOwner><fInbox>true</fInbox><fDeleted>false</fDeleted>' +
+        '</project><project><ixProject>3</ixProject><sProject>' +
+        '<![CDATA[Website]]></sProject><ixPersonOwner>2</ixPersonOwner>' +
+        '<fInbox>false</fInbox><fDeleted>false</fDeleted></project>' +
+        '</projects></response>',
+      listAreas: '<response><areas><area><ixArea>8</ixArea><sArea>' +
+        '<![CDATA[Misc]]></sArea><ixProject>3</ixProject><sProject>' +
+        '<![CDATA[Website]]></sProject></area></areas></response>',
+      listPeople: '<response><people><person><ixPerson>2</ixPerson>' +
+        '<sFullName><![CDATA[Jane Doe]]></sFullName><sEmail>' +
+        '<![CDATA[jane@example.com]]></sEmail></person><person><ixPerson>' +
+        '4</ixPerson><sFullName><![CDATA[Jane Doe]]></sFullName><sEmail>' +
+        '<![CDATA[jdoe@example.com]]></sEmail></person></people>' +
+        '</response>',
+      listCategories: '<response><categories><category><ixCategory>1' +
+        '</ixCategory><sCategory><![CDATA[Bug]]></sCategory></category>' +
+        '</categories></response>',
+      listStatuses: '<response><statuses><status><ixStatus>2</ixStatus>' +
+        '<sStatus><![CDATA[Resolved (Fixed)]]></sStatus><ixCategory>1' +
+        '</ixCategory><fResolved>true</fResolved></status></statuses>' +
+        '</response>',
+      listPriorities: '<response><priorities></priorities></response>'
+    };
+    var req;
+
+    beforeEach(function() {
+      client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      });
+      req = sandbox.spy(function(opts, cb) {
+        cb(null, null, lists[opts.form.cmd] ||
+          '<response><case ixBug="16006" operations="edit"></case>' +
+          '</response>');
+      });
+      fogbugz.__set__('request', req);
+    });
+
+    it('should list typed items with coerced columns', function() {
+      return client.listProjects()
+        .then(function(projects) {
+          expect(projects).to.have.length(2);
+          expect(projects[1]).to.be.an.instanceof(fogbugz.Project);
+          expect(projects[1]).to.eql(new fogbugz.Project({
+            id: 3,
+            name: 'Website',
+            ownerId: 2,
+            fInbox: false,
+            deleted: false
+          }));
+          expect(projects[1]._client).to.equal(client);
+        });
+    });
+
+    it('should resolve with an empty list', function() {
+      return expect(client.listPriorities()).to.eventually.eql([]);
+    });
+
+    it('should narrow lists down by name', function() {
+      return client.listAreas('Website')
+        .then(function(areas) {
+          expect(areas[0]).to.be.an.instanceof(fogbugz.Area);
+          expect(areas[0].projectId).to.equal(3);
+          expect(req.secondCall).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'listAreas',
+              ixProject: '3'
+            }
+          });
+        });
+    });
+
+    it('should take a string of digits as an ID', function() {
+      return client.listAreas('3')
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+          expect(req.firstCall).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'listAreas',
+              ixProject: '3'
+            }
+          });
+        });
+    });
+
+    it('should cache lists until they expire', function() {
+      return client.listProjects()
+        .then(function() {
+          return client.listProjects();
+        })
+        .then(function() {
+          expect(req).to.have.been.calledOnce;
+          client.clearLookups();
+          return client.listProjects();
+        })
+        .then(function() {
+          expect(req).to.have.been.calledTwice;
+        });
+    });
+
+    it('should not cache lists if lookupTtl is 0', function() {
+      client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN,
+        lookupTtl: 0
+      });
+      return client.listProjects()
+        .then(function() {
+          return client.listProjects();
+        })
+        .then(function() {
+          expect(req).to.have.been.calledTwice;
+        });
+    });
+
+    it('should look people up by email address', function() {
+      return expect(client.lookup('person', 'JDOE@example.com')).to
+        .eventually.have.property('id', 4);
+    });
+
+    it('should reject with a LookupError if a name is ambiguous',
+      function() {
+        return expect(client.lookup('person', 'Jane Doe')).to.eventually.be
+          .rejectedWith(fogbugz.LookupError,
+            'more than one person is named "Jane Doe"');
+      });
+
+    it('should reject with a LookupError if a name is unknown', function() {
+      return expect(client.lookup('project', 'Intranet')).to.eventually.be
+        .rejectedWith(fogbugz.LookupError, 'no project is named "Intranet"');
+    });
+
+    it('should resolve names when editing a case', function() {
+      return client.editBug(16006, {
+        project: 'website',
+        area: 'Misc',
+        category: 'Bug',
+        status: 'Resolved (Fixed)',
+        assignedTo: 'jane@example.com',
+        title: 'foo',
+        sVersion: '1.2.3'
+      })
+        .then(function() {
+          expect(req.lastCall).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'edit',
+              ixBug: '16006',
+              ixProject: '3',
+              ixArea: '8',
+              ixCategory: '1',
+              ixStatus: '2',
+              ixPersonAssignedTo: '2',
+              sTitle: 'foo',
+              sVersion: '1.2.3'
+            }
+          });
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'listStatuses',
+              ixCategory: '1'
+            }
+          });
+        });
+    });
+  });
+
+  describe('time tracking', function() {
+    var client;
+    var intervalsXml = '<response><intervals><interval><ixInterval>40' +
+      '</ixInterval><ixPerson>2</ixPerson><ixBug>16006</ixBug><dtStart>' +
+      '2015-05-04T09:00:00Z</dtStart><dtEnd>2015-05-04T12:30:00Z</dtEnd>' +
+      '<fDeleted>false</fDeleted><sTitle><![CDATA[foo]]></sTitle>' +
+      '</interval><interval><ixInterval>41</ixInterval><ixPerson>2' +
+      '</ixPerson><ixBug>16007</ixBug><dtStart>2015-05-04T23:00:00Z' +
+      '</dtStart><dtEnd>2015-05-05T01:00:00Z</dtEnd><fDeleted>false' +
+      '</fDeleted><sTitle><![CDATA[bar]]></sTitle></interval><interval>' +
+      '<ixInterval>42</ixInterval><ixPerson>2</ixPerson><ixBug>16006' +
+      '</ixBug><dtStart>2015-05-04T14:00:00Z</dtStart><dtEnd></dtEnd>' +
+      '<fDeleted>true</fDeleted><sTitle><![CDATA[foo]]></sTitle>' +
+      '</interval></intervals></response>';
+    var req;
+
+    function respond(xml) {
+      req = sandbox.spy(function(opts, cb) {
+        cb(null, null, xml);
+      });
+      fogbugz.__set__('request', req);
+    }
+
+    beforeEach(function() {
+      client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      });
+    });
+
+    it('should start and stop work', function() {
+      respond('<response></response>');
+      return client.startWork(16006)
+        .then(function(started) {
+          expect(started).to.be.true;
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'startWork',
+              ixBug: '16006',
+              token: TOKEN
+            }
+          });
+          return client.stopWork();
+        })
+        .then(function(stopped) {
+          expect(stopped).to.be.true;
+          expect(req.secondCall.args[0].form.cmd).to.equal('stopWork');
+        });
+    });
+
+    it('should list Intervals with Date start and end times', function() {
+      respond(intervalsXml);
+      return client.listIntervals({
+        person: 2,
+        start: new Date(Date.UTC(2015, 4, 4)),
+        end: '2015-05-05',
+        caseId: 16006
+      })
+        .then(function(intervals) {
+          expect(intervals).to.have.length(3);
+          expect(intervals[0]).to.be.an.instanceof(fogbugz.Interval);
+          expect(intervals[0]).to.eql(new fogbugz.Interval({
+            id: 40,
+            caseId: 16006,
+            personId: 2,
+            start: new Date('2015-05-04T09:00:00Z'),
+            end: new Date('2015-05-04T12:30:00Z'),
+            title: 'foo',
+            deleted: false
+          }));
+          expect(intervals[2].end).to.be.null;
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'listIntervals',
+              ixPerson: '2',
+              ixBug: '16006',
+              dtStart: '2015-05-04T00:00:00Z',
+              dtEnd: '2015-05-05'
+            }
+          });
+        });
+    });
+
+    it('should record a new Interval', function() {
+      respond('<response><interval><ixInterval>43</ixInterval><ixPerson>2' +
+        '</ixPerson><ixBug>16006</ixBug><dtStart>2015-05-06T08:00:00Z' +
+        '</dtStart><dtEnd>2015-05-06T09:15:00Z</dtEnd><fDeleted>false' +
+        '</fDeleted><sTitle><![CDATA[foo]]></sTitle></interval></response>');
+      return client.newInterval({
+        caseId: 16006,
+        start: new Date('2015-05-06T08:00:00.500Z'),
+        end: new Date('2015-05-06T09:15:00Z')
+      })
+        .then(function(interval) {
+          expect(interval.id).to.equal(43);
+          expect(interval.hours()).to.equal(1.25);
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'newInterval',
+              ixBug: '16006',
+              dtStart: '2015-05-06T08:00:00Z',
+              dtEnd: '2015-05-06T09:15:00Z'
+            }
+          });
+        });
+    });
+
+    it('should total hours per case within a date range', function() {
+      respond(intervalsXml);
+      return expect(client.totalHours({
+        start: '2015-05-04T00:00:00Z',
+        end: '2015-05-05T00:00:00Z'
+      })).to.eventually.eql({
+        16006: 3.5,
+        16007: 1
+      });
+    });
+
+    it('should total hours per person', function() {
+      respond(intervalsXml);
+      return expect(client.totalHours({by: 'person'})).to.eventually.eql({
+        2: 5.5
+      });
+    });
+  });
+
+  describe('wiki', function() {
+    var client;
+    var responses = {
+      listWikis: '<response><wikis><wiki><ixWiki>1</ixWiki><sWiki>' +
+        '<![CDATA[Runbooks]]></sWiki><sTagLineHTML><![CDATA[How we work]]>' +
+        '</sTagLineHTML><ixWikiPageRoot>1</ixWikiPageRoot></wiki></wikis>' +
+        '</response>',
+      listArticles: '<response><wikidata><articles><article><ixWikiPage>' +
+        '5</ixWikiPage><sHeadline><![CDATA[Deploying]]></sHeadline>' +
+        '</article></articles></wikidata></response>',
+      viewArticle: '<response><wikipage><sHeadline><![CDATA[Deploying]]>' +
+        '</sHeadline><sBody><![CDATA[<p>Run <code>make</code></p>]]>' +
+        '</sBody><nRevision>3</nRevision></wikipage></response>',
+      newArticle: '<response><wikipage><ixWikiPage>6</ixWikiPage>' +
+        '<sHeadline><![CDATA[Rolling back]]></sHeadline><sBody>' +
+        '<![CDATA[<p>Don\'t.</p>]]></sBody><nRevision>1</nRevision>' +
+        '</wikipage></response>',
+      editArticle: '<response><wikipage><ixWikiPage>5</ixWikiPage>' +
+        '<sHeadline><![CDATA[Deploying]]></sHeadline><sBody>' +
+        '<![CDATA[<p>Run <code>make deploy</code></p>]]></sBody>' +
+        '<nRevision>4</nRevision></wikipage></response>'
+    };
+    var req;
+
+    beforeEach(function() {
+      client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      });
+      req = sandbox.spy(function(opts, cb) {
+        cb(null, null, responses[opts.form.cmd]);
+      });
+      fogbugz.__set__('request', req);
+    });
+
+    it('should list Wikis', function() {
+      return client.listWikis()
+        .then(function(wikis) {
+          expect(wikis).to.eql([new fogbugz.Wiki({
+            id: 1,
+            name: 'Runbooks',
+            sTagLineHTML: 'How we work',
+            ixWikiPageRoot: 1
+          })]);
+        });
+    });
+
+    it('should list the Articles of a Wiki by name', function() {
+      return client.listArticles('runbooks')
+        .then(function(articles) {
+          expect(articles).to.eql([new fogbugz.Article({
+            id: 5,
+            wikiId: 1,
+            headline: 'Deploying'
+          })]);
+          expect(req.secondCall).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'listArticles',
+              ixWiki: '1'
+            }
+          });
+        });
+    });
+
+    it('should view a revision of an Article', function() {
+      return client.viewArticle('5', {revision: 3})
+        .then(function(article) {
+          expect(article).to.be.an.instanceof(fogbugz.Article);
+          expect(article.id).to.equal(5);
+          expect(article.body).to.equal('<p>Run <code>make</code></p>');
+          expect(article.revision).to.equal(3);
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'viewArticle',
+              ixWikiPage: '5',
+              nRevision: '3',
+              token: TOKEN
+            }
+          });
+        });
+    });
+
+    it('should add an Article to a Wiki', function() {
+      var wiki = new fogbugz.Wiki({id: 1}, client);
+      return wiki.newArticle({
+        headline: 'Rolling back',
+        body: '<p>Don\'t.</p>'
+      })
+        .then(function(article) {
+          expect(article.id).to.equal(6);
+          expect(article.wikiId).to.equal(1);
+          expect(req).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'newArticle',
+              ixWiki: '1',
+              sHeadline: 'Rolling back',
+              sBody: '<p>Don\'t.</p>'
+            }
+          });
+        });
+    });
+
+    it('should edit an Article', function() {
+      var article = new fogbugz.Article({id: 5}, client);
+      return article.edit({
+        body: '<p>Run <code>make deploy</code></p>',
+        comment: 'synced from git'
+      })
+        .then(function(edited) {
+          expect(edited.revision).to.equal(4);
+          expect(req.firstCall.args[0].form).to.eql({
+            cmd: 'editArticle',
+            token: TOKEN,
+            ixWikiPage: '5',
+            sBody: '<p>Run <code>make deploy</code></p>',
+            sComment: 'synced from git'
+          });
+        });
+    });
+  });
+
+  describe('searchFilter()', function() {
+    var client;
+    var filtersXml = '<response><filters><filter type="builtin" ' +
+      'sFilter="ez" status="current">My Cases</filter><filter ' +
+      'type="saved" sFilter="7">Overdue</filter><filter type="saved" ' +
+      'sFilter="8">Unassigned</filter></filters></response>';
+    var current;
+    var switches;
+    var failSearch;
+
+    function caseXml(id) {
+      return '<case ixBug="' + id + '" operations="edit"><sTitle>' +
+        '<![CDATA[case ' + id + ']]></sTitle></case>';
+    }
+
+    beforeEach(function() {
+      client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      });
+      current = 'ez';
+      switches = [];
+      failSearch = false;
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        var form = opts.form;
+        var ids = {7: [3, 1], 8: [2], ez: [9]}[current];
+        switch (form.cmd) {
+        case 'listFilters':
+          return cb(null, null, filtersXml.replace(' status="current"', '')
+            .replace('sFilter="' + current + '"',
+              'sFilter="' + current + '" status="current"'));
+        case 'setCurrentFilter':
+          current = form.sFilter;
+          switches.push(current);
+          return cb(null, null, '<response></response>');
+        default:
+          if (failSearch) {
+            return cb(null, null, '<response><error code="4">nope</error>' +
+              '</response>');
+          }
+          if (form.q !== '') {
+            ids = form.q.replace('ixBug:', '').split(',');
+          }
+          cb(null, null, '<response><cases count="' + ids.length + '">' +
+            ids.map(caseXml).join('') + '</cases></response>');
+        }
+      }));
     });
 
-    afterEach(function() {
-      fogbugz.forgetToken();
+    it('should list every case and restore the current filter', function() {
+      return client.searchFilter('7', ['sTitle'], {pageSize: 1})
+        .then(function(cases) {
+          expect(_.pluck(cases, 'id')).to.eql(['3', '1']);
+          expect(cases[0].title).to.equal('case 3');
+          expect(switches).to.eql(['7', 'ez']);
+        });
     });
 
-    function editBugRequest(xml) {
-      return sandbox.spy(function(url, cb) {
-        cb(null, null, xml || editBugXml);
-      });
-    }
+    it('should restore the current filter if the search fails', function() {
+      failSearch = true;
+      return expect(client.searchFilter('7')).to.eventually.be
+        .rejectedWith(fogbugz.MissingArgumentError)
+        .then(function() {
+          expect(switches).to.eql(['7', 'ez']);
+        });
+    });
 
-    it('should fail if id is not found', function() {
-      fogbugz.__set__('request', editBugRequest(emptyXml));
+    it('should not switch filters under other calls', function() {
+      return Q.all([
+        client.searchFilter('7'),
+        client.searchFilter('8'),
+        client.searchFilter('ez')
+      ])
+        .spread(function(overdue, unassigned, mine) {
+          expect(_.pluck(overdue, 'id')).to.eql(['3', '1']);
+          expect(_.pluck(unassigned, 'id')).to.eql(['2']);
+          expect(_.pluck(mine, 'id')).to.eql(['9']);
+          expect(switches).to.eql(['7', 'ez', '8', 'ez', 'ez']);
+        });
+    });
 
-      return expect(fogbugz.editBug(16227, {}, []))
-        .to.eventually.be.rejectedWith(fogbugz.MODULE_ERRORS.xmlParseError);
+    it('should list the cases of a Filter', function() {
+      var filter = new fogbugz.Filter({id: '8'}, client);
+      return filter.getCases(['sTitle'])
+        .then(function(cases) {
+          expect(cases).to.have.length(1);
+          expect(cases[0]).to.be.an.instanceof(fogbugz.Case);
+          expect(current).to.equal('ez');
+        });
     });
+  });
 
-    it('should find the requested bug', function() {
-      var testId = '16006';
+  describe('getBugs()', function() {
+    var inFlight;
+    var maxInFlight;
+    var req;
 
-      fogbugz.__set__('request', editBugRequest(editBugXml));
+    beforeEach(function() {
+      inFlight = 0;
+      maxInFlight = 0;
+      req = sandbox.spy(function(opts, cb) {
+        var ids = opts.form.q.replace('ixBug:', '').split(',')
+          .filter(function(id) {
+            return id !== '9';
+          });
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        setImmediate(function() {
+          inFlight--;
+          cb(null, null, '<response><cases count="' + ids.length + '">' +
+            ids.map(function(id) {
+              return '<case ixBug="' + id + '" operations="edit"></case>';
+            }).join('') + '</cases></response>');
+        });
+      });
+      fogbugz.__set__('request', req);
+    });
 
-      return fogbugz.editBug(testId, {}, [])
-        .then(function(fbzCase) {
-          expect(fbzCase.id).to.equal(testId);
-          expect(fbzCase.title)
-            .to.equal('AQ toolkit API: bar chart shown and selected for text');
+    it('should search for chunks of bugs and keep their order', function() {
+      var client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      });
+      return client.getBugs([5, '3', 9, 4, 1], ['sTitle'], {chunkSize: 2})
+        .then(function(found) {
+          expect(_.pluck(found.cases, 'id')).to.eql(['5', '3', '4', '1']);
+          expect(found.cases[0]).to.be.an.instanceof(fogbugz.Case);
+          expect(found.missing).to.eql([9]);
+          expect(req).to.have.been.calledThrice;
+          expect(req.firstCall).to.have.been.calledWithMatch({
+            form: {
+              cmd: 'search',
+              q: 'ixBug:5,3',
+              max: '2'
+            }
+          });
+        });
+    });
+
+    it('should cap the requests in flight', function() {
+      var client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN,
+        concurrency: 2
+      });
+      return Q.all([
+        client.getBugs(_.range(1, 9), [], {chunkSize: 1}),
+        client.getBug(10)
+      ])
+        .spread(function(found) {
+          expect(found.cases).to.have.length(8);
+          expect(req.callCount).to.equal(9);
+          expect(maxInFlight).to.equal(2);
         });
     });
   });
 
-  describe('logon()', function() {
-    it('should fail if error received', function() {
-      var msg = 'error';
+  describe('cache', function() {
+    var req;
+    var fail;
 
-      fogbugz.__set__('request', sandbox.spy(function(url, cb) {
-        cb(msg);
-      }));
+    function newClient(cache) {
+      return fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN,
+        cache: cache
+      });
+    }
 
-      return expect(fogbugz.logon()).to.eventually.be.rejectedWith(msg);
+    beforeEach(function() {
+      fail = false;
+      req = sandbox.spy(function(opts, cb) {
+        var form = opts.form;
+        var ids = form.q === 'ixBug:2' ? ['2'] : ['1', '3'];
+        if (fail) {
+          return cb(null, null, '<response><error code="4">nope</error>' +
+            '</response>');
+        }
+        if (form.cmd === 'listFilters') {
+          return cb(null, null, '<response><filters><filter type="builtin" ' +
+            'sFilter="ez" status="current">My Cases</filter></filters>' +
+            '</response>');
+        }
+        if (form.cmd === 'setCurrentFilter') {
+          return cb(null, null, '<response></response>');
+        }
+        if (form.cmd === 'edit') {
+          return cb(null, null, '<response><case ixBug="' + form.ixBug +
+            '" operations="edit"></case></response>');
+        }
+        cb(null, null, '<response><cases count="' + ids.length + '">' +
+          ids.map(function(id) {
+            return '<case ixBug="' + id + '" operations="edit"></case>';
+          }).join('') + '</cases></response>');
+      });
+      fogbugz.__set__('request', req);
     });
 
-    it('should successfully login', function() {
-      var token = TOKEN;
-      var xml = '<response><token><![CDATA[' + token +
-        ']]></token></response>';
+    it('should not cache searches by default', function() {
+      var client = newClient();
+      return client.search('foo')
+        .then(function() {
+          return client.search('foo');
+        })
+        .then(function() {
+          expect(req).to.have.been.calledTwice;
+        });
+    });
 
-      fogbugz.__set__('request', sandbox.spy(function(url, cb) {
-        cb(null, null, xml);
-      }));
+    it('should cache searches per client', function() {
+      var client = newClient({search: 60000});
+      return Q.all([
+        client.search('foo', ['sTitle', 'sStatus']),
+        client.search('foo', ['sStatus', 'sTitle'])
+      ])
+        .spread(function(first, second) {
+          expect(_.pluck(first, 'id')).to.eql(['1', '3']);
+          expect(second).to.eql(first);
+          expect(second).not.to.equal(first);
+          expect(req).to.have.been.calledOnce;
+          return newClient({search: 60000}).search('foo', ['sTitle',
+            'sStatus']);
+        })
+        .then(function() {
+          expect(req).to.have.been.calledTwice;
+        });
+    });
 
-      return fogbugz.logon()
-        .then(function(res) {
-          expect(res.token).to.equal(token);
-          expect(res.cached).to.be.false;
+    it('should drop cached results containing an edited case', function() {
+      var client = newClient({search: 60000});
+      return Q.all([client.search('foo'), client.search('ixBug:2')])
+        .then(function() {
+          return client.editBug(3, {sTitle: 'bar'});
         })
-        .then(fogbugz.logon)
-        .then(function(res) {
-          expect(res.token).to.equal(token);
-          expect(res.cached).to.exist;
+        .then(function() {
+          return Q.all([client.search('foo'), client.search('ixBug:2')]);
+        })
+        .then(function() {
+          expect(_.pluck(_.pluck(req.args, 0), 'form').map(function(form) {
+            return form.cmd + ' ' + (form.q || form.ixBug);
+          })).to.eql(['search foo', 'search ixBug:2', 'edit 3',
+            'search foo']);
         });
     });
-  });
 
-  describe('logoff()', function() {
-    it('should fail w/o presence of token', function() {
-      fogbugz.forgetToken();
-      return expect(fogbugz.logoff()).to.eventually.be
-        .rejectedWith(fogbugz.MODULE_ERRORS.undefinedToken);
+    it('should drop cached filters when the current filter changes',
+      function() {
+        var client = newClient({listFilters: 60000, search: 60000});
+        return Q.all([client.listFilters(), client.search('')])
+          .then(function() {
+            return client.setCurrentFilter('inbox');
+          })
+          .then(function() {
+            return Q.all([client.listFilters(), client.search('')]);
+          })
+          .then(function() {
+            expect(req.callCount).to.equal(5);
+          });
+      });
+
+    it('should not cache failures', function() {
+      var client = newClient({search: 60000});
+      fail = true;
+      return expect(client.search('foo')).to.eventually.be.rejected
+        .then(function() {
+          fail = false;
+          return client.search('foo');
+        })
+        .then(function(cases) {
+          expect(cases).to.have.length(2);
+          expect(req).to.have.been.calledTwice;
+        });
     });
 
-    it('should fail if error received', function() {
-      var msg = 'error';
+    it('should hand out copies of cached cases', function() {
+      var client = newClient({search: 60000});
+      return client.search('foo')
+        .then(function(cases) {
+          cases[0].title = 'changed';
+          return client.search('foo');
+        })
+        .then(function(cases) {
+          expect(cases[0]).to.be.an.instanceof(fogbugz.Case);
+          expect(cases[0]).not.to.have.property('title');
+          expect(req).to.have.been.calledOnce;
+        });
+    });
 
-      fogbugz.__set__('request', sandbox.spy(function(url, cb) {
-        cb(msg);
-      }));
+    it('should sweep out expired results', function() {
+      var client = newClient({search: 1});
+      return client.search('foo')
+        .delay(5)
+        .then(function() {
+          return client.search('ixBug:2');
+        })
+        .then(function() {
+          var keys = _.keys(client._cacheTags);
+          expect(keys).to.have.length(1);
+          expect(keys[0]).to.match(/q=ixBug:2$/);
+          expect(_.keys(client._cache)).to.eql(keys);
+        });
+    });
 
-      fogbugz.setToken(TOKEN);
-      return expect(fogbugz.logoff()).to.eventually.be.rejectedWith(msg)
+    it('should keep results with the client, not the process', function() {
+      var clients = _.times(3, function() {
+        return newClient({search: 60000});
+      });
+      return Q.all(clients.map(function(client) {
+        return client.search('foo');
+      }))
         .then(function() {
-          fogbugz.forgetToken();
+          clients.forEach(function(client) {
+            expect(_.keys(client._cache)).to.have.length(1);
+          });
         });
     });
 
-    it('should succeed if no error (?)', function() {
-      fogbugz.__set__('request', sandbox.spy(function(url, cb) {
-        cb();
-      }));
-      fogbugz.setToken(TOKEN);
-      return expect(fogbugz.logoff()).to.eventually.be.true
+    it('should forget everything when cleared', function() {
+      var client = newClient({search: 60000});
+      return client.search('foo')
         .then(function() {
-          fogbugz.forgetToken();
+          client.clearCache();
+          return client.search('foo');
+        })
+        .then(function() {
+          expect(req).to.have.been.calledTwice;
         });
     });
   });
 
-  describe('listFilters()', function() {
+  describe('watch()', function() {
+    var client;
+    var cases;
+    var req;
+    var watcher;
+    var cursorFile = require('path').join(require('os').tmpdir(),
+      'fogbugz-watch-' + process.pid + '.json');
+
+    function caseXml(id) {
+      return '<case ixBug="' + id + '" operations="edit"><sTitle>' +
+        '<![CDATA[' + cases[id].title + ']]></sTitle><ixBugEventLatest>' +
+        cases[id].event + '</ixBugEventLatest><dtLastUpdated>' +
+        '2015-05-06T08:00:00Z</dtLastUpdated></case>';
+    }
+
+    function polls(n, options) {
+      var dfrd = Q.defer();
+      var seen = [];
+      var count = 0;
+      watcher = client.watch('project:Website', _.extend({
+        interval: 5,
+        cols: ['sTitle']
+      }, options));
+      watcher.on('change', function(change) {
+        seen.push(change);
+      });
+      watcher.on('error', dfrd.reject);
+      watcher.on('cursor', function() {
+        count++;
+        if (count === n) {
+          watcher.stop();
+          dfrd.resolve(seen);
+        } else if (options && options.between) {
+          options.between(count);
+        }
+      });
+      return dfrd.promise;
+    }
+
     beforeEach(function() {
-      fogbugz.setToken(TOKEN);
+      client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      });
+      cases = {
+        1: {title: 'one', event: 10},
+        2: {title: 'two', event: 20}
+      };
+      req = sandbox.spy(function(opts, cb) {
+        var q = opts.form.q;
+        var ids = q.indexOf('ixBug:') === 0 ?
+          q.replace('ixBug:', '').split(',') : _.keys(cases);
+        cb(null, null, '<response><cases count="' + ids.length + '">' +
+          ids.map(caseXml).join('') + '</cases></response>');
+      });
+      fogbugz.__set__('request', req);
     });
 
-    afterEach(function() {
-      fogbugz.forgetToken();
+    afterEach(function(done) {
+      watcher.stop();
+      require('fs').unlink(cursorFile, function() {
+        // there may have been none
+        done();
+      });
     });
 
-    it('should get a list of available filters', function() {
-      var filtersXml = '<response><filters><filter type="builtin" ' +
-        'sFilter="ez">My Cases</filter><filter type="builtin" ' +
-        'sFilter="inbox">Inbox</filter></filters></response>';
+    it('should emit added, changed and removed Cases', function() {
+      return polls(3, {
+        between: function(count) {
+          if (count === 1) {
+            cases[2] = {title: 'two, again', event: 21};
+            cases[3] = {title: 'three', event: 30};
+          } else {
+            delete cases[1];
+          }
+        }
+      })
+        .then(function(changes) {
+          expect(_.map(changes, function(change) {
+            return change.type + ' ' + change.id;
+          })).to.eql(['added 1', 'added 2', 'changed 2', 'added 3',
+            'removed 1']);
+          expect(changes[0].after).to.be.an.instanceof(fogbugz.Case);
+          expect(changes[0].before).to.be.null;
+          expect(changes[2].before.title).to.equal('two');
+          expect(changes[2].after.title).to.equal('two, again');
+          expect(changes[4].before.title).to.equal('one');
+          expect(changes[4].after).to.be.null;
+        });
+    });
 
-      fogbugz.__set__('request', sandbox.spy(function(url, cb) {
-        cb(null, null, filtersXml);
-      }));
+    it('should only fetch new and changed cases', function() {
+      return polls(2, {
+        between: function() {
+          cases[2].event = 21;
+        }
+      })
+        .then(function() {
+          var queries = _.pluck(_.pluck(_.pluck(req.args, 0), 'form'), 'q');
+          expect(queries).to.eql(['project:Website', 'ixBug:1,2',
+            'project:Website', 'ixBug:2']);
+          expect(req.firstCall.args[0].form.cols)
+            .to.equal('ixBugEventLatest,dtLastUpdated');
+        });
+    });
 
-      return expect(fogbugz.listFilters()).to.eventually.eql([
-        new fogbugz.Filter({
-          'name': 'My Cases',
-          'type': 'builtin',
-          'id': 'ez',
-          'url': 'https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=ez'
-        }),
-        new fogbugz.Filter({
-          'name': 'Inbox',
-          'type': 'builtin',
-          'id': 'inbox',
-          'url': 'https://zzz.fogbugz.com/default.asp?pgx=LF&ixFilter=inbox'
+    it('should resume from a cursor', function() {
+      return polls(1, {
+        cursor: {
+          query: 'project:Website',
+          versions: {1: 10, 2: 19, 4: 40}
+        }
+      })
+        .then(function(changes) {
+          expect(_.map(changes, function(change) {
+            return change.type + ' ' + change.id;
+          })).to.eql(['changed 2', 'removed 4']);
+          expect(changes[0].before).to.be.null;
+          expect(watcher.cursor).to.eql({
+            query: 'project:Website',
+            versions: {1: 10, 2: 20}
+          });
+        });
+    });
+
+    it('should keep its cursor in a file', function() {
+      return polls(1, {cursorFile: cursorFile})
+        .then(function(changes) {
+          expect(changes).to.have.length(2);
+          cases[1].event = 11;
+          return polls(1, {cursorFile: cursorFile});
         })
-      ]);
+        .then(function(changes) {
+          expect(changes).to.have.length(1);
+          expect(changes[0].type).to.equal('changed');
+        });
+    });
+
+    it('should start afresh if its cursor file is corrupt', function() {
+      return Q.nfcall(require('fs').writeFile, cursorFile, '{"query": "pro')
+        .then(function() {
+          return polls(1, {cursorFile: cursorFile});
+        })
+        .then(function(changes) {
+          expect(changes).to.have.length(2);
+          return Q.nfcall(require('fs').readFile, cursorFile, 'utf8');
+        })
+        .then(function(json) {
+          expect(JSON.parse(json)).to.eql(watcher.cursor);
+          expect(require('fs').existsSync(cursorFile + '.' + process.pid +
+            '.tmp')).to.be.false;
+        });
+    });
+
+    it('should not replay what is there if asked not to', function() {
+      return polls(2, {
+        initial: false,
+        between: function() {
+          cases[3] = {title: 'three', event: 30};
+        }
+      })
+        .then(function(changes) {
+          expect(_.pluck(changes, 'id')).to.eql(['3']);
+        });
+    });
+
+    it('should be an async iterator', function() {
+      var iterator;
+      if (typeof Symbol === 'undefined' || !Symbol.asyncIterator) {
+        return this.skip();
+      }
+      watcher = client.watch('project:Website', {interval: 5});
+      iterator = watcher[Symbol.asyncIterator]();
+      return iterator.next()
+        .then(function(result) {
+          expect(result.done).to.be.false;
+          expect(result.value.id).to.equal('1');
+          return iterator.next();
+        })
+        .then(function(result) {
+          expect(result.value.id).to.equal('2');
+          return iterator.return();
+        })
+        .then(function() {
+          return iterator.next();
+        })
+        .then(function(result) {
+          expect(result.done).to.be.true;
+        });
     });
   });
 
-  describe('setCurrentFilter()', function() {
+  describe('triggers', function() {
+    var client;
+    var server;
+
+    function send(method, path, body, headers) {
+      var dfrd = Q.defer();
+      var req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: method,
+        path: path,
+        headers: headers || {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }, function(res) {
+        res.resume();
+        res.on('end', function() {
+          dfrd.resolve(res.statusCode);
+        });
+      });
+      req.on('error', dfrd.reject);
+      req.end(body);
+      return dfrd.promise;
+    }
+
+    function listen(options) {
+      var dfrd = Q.defer();
+      server = fogbugz.createTriggerServer(_.extend({
+        port: 0,
+        host: '127.0.0.1',
+        secret: 's3cret',
+        client: client
+      }, options));
+      server.on('listening', dfrd.resolve);
+      return dfrd.promise;
+    }
+
+    function next(name) {
+      var dfrd = Q.defer();
+      server.once(name, dfrd.resolve);
+      server.once('error', dfrd.reject);
+      return dfrd.promise;
+    }
+
     beforeEach(function() {
-      fogbugz.setToken(TOKEN);
+      server = null;
+      client = fogbugz.createClient({
+        host: 'zzz.fogbugz.com',
+        discover: false,
+        token: TOKEN
+      });
     });
 
-    afterEach(function() {
-      fogbugz.forgetToken();
+    afterEach(function(done) {
+      if (!server) {
+        done();
+        return;
+      }
+      server.close(function() {
+        done();
+      });
     });
 
-    it('shoud set the current filter', function() {
-      var xml = '<response></response>';
-      fogbugz.__set__('request', sandbox.spy(function(url, cb) {
-        cb(null, null, xml);
+    it('should emit triggers sent by GET', function() {
+      return listen()
+        .then(function() {
+          var emitted = Q.all([next('trigger'), next('CaseResolved')]);
+          return Q.all([
+            send('GET', '/?CaseNumber=12&CaseEventID=345' +
+              '&EventType=CaseResolved&secret=s3cret'),
+            emitted
+          ]);
+        })
+        .spread(function(status, triggers) {
+          expect(status).to.equal(200);
+          expect(triggers[0]).to.be.an.instanceof(fogbugz.Trigger);
+          expect(triggers[0]).to.equal(triggers[1]);
+          expect(triggers[0].caseId).to.equal(12);
+          expect(triggers[0].eventId).to.equal(345);
+          expect(triggers[0].eventType).to.equal('CaseResolved');
+          expect(triggers[0].case).to.be.null;
+        });
+    });
+
+    it('should emit triggers sent by POST', function() {
+      return listen()
+        .then(function() {
+          return Q.all([
+            send('POST', '/', querystring.stringify({
+              CaseNumber: 7,
+              EventType: 'CaseEdited',
+              secret: 's3cret'
+            })),
+            next('CaseEdited')
+          ]);
+        })
+        .spread(function(status, trigger) {
+          expect(status).to.equal(200);
+          expect(trigger.caseId).to.equal(7);
+          expect(trigger.eventId).to.be.null;
+        });
+    });
+
+    it('should refuse requests without the secret', function() {
+      var spy = sandbox.spy();
+      return listen()
+        .then(function() {
+          server.on('trigger', spy);
+          return Q.all([
+            send('GET', '/?CaseNumber=12&secret=wrong'),
+            send('GET', '/?CaseNumber=12')
+          ]);
+        })
+        .then(function(statuses) {
+          expect(statuses).to.eql([403, 403]);
+          expect(spy).not.to.have.been.called;
+        });
+    });
+
+    it('should refuse requests without a case', function() {
+      return listen()
+        .then(function() {
+          return Q.all([
+            send('GET', '/?EventType=CaseEdited&secret=s3cret'),
+            send('PUT', '/?CaseNumber=12&secret=s3cret')
+          ]);
+        })
+        .then(function(statuses) {
+          expect(statuses).to.eql([400, 405]);
+        });
+    });
+
+    it('should fetch the case if asked', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response><cases count="1"><case ixBug="12" ' +
+          'operations="edit"><sTitle><![CDATA[Broken]]></sTitle></case>' +
+          '</cases></response>');
       }));
-      return expect(fogbugz.setCurrentFilter('ez')).to.eventually.be.true;
+      return listen({fetchCase: true, cols: ['sTitle']})
+        .then(function() {
+          return Q.all([
+            send('GET', '/?CaseNumber=12&EventType=CaseEdited&secret=s3cret'),
+            next('trigger')
+          ]);
+        })
+        .spread(function(status, trigger) {
+          expect(trigger.case).to.be.an.instanceof(fogbugz.Case);
+          expect(trigger.case.title).to.equal('Broken');
+        });
+    });
+
+    it('should emit failures to fetch the case', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response><cases count="0"></cases></response>');
+      }));
+      return listen({fetchCase: true})
+        .then(function() {
+          var failed = Q.defer();
+          server.once('fetchError', failed.resolve);
+          return Q.all([
+            send('GET', '/?CaseNumber=12&secret=s3cret'),
+            failed.promise
+          ]);
+        })
+        .spread(function(status, err) {
+          expect(status).to.equal(502);
+          expect(err).to.be.an.instanceof(fogbugz.CaseNotFoundError);
+          expect(err.trigger.caseId).to.equal(12);
+        });
+    });
+
+    it('should work as middleware', function() {
+      var middleware = fogbugz.createTriggerMiddleware({secret: 's3cret'});
+      var passed = sandbox.spy();
+      var trigger = sandbox.spy();
+      var res = {writeHead: sandbox.spy(), end: sandbox.spy()};
+      middleware.on('trigger', trigger);
+      middleware({
+        method: 'POST',
+        url: '/hooks/fogbugz?secret=s3cret',
+        body: {ixBug: '3', EventType: 'CaseClosed'}
+      }, res, passed);
+      middleware({method: 'DELETE', url: '/'}, res, passed);
+      expect(res.writeHead).to.have.been.calledOnce;
+      expect(res.writeHead).to.have.been.calledWith(200);
+      expect(trigger).to.have.been.calledOnce;
+      expect(trigger.firstCall.args[0].caseId).to.equal(3);
+      expect(passed).to.have.been.calledOnce;
+    });
+
+    it('should not emit events named by hostile requests', function() {
+      var types = [];
+      return listen()
+        .then(function() {
+          server.on('trigger', function(trigger) {
+            types.push(trigger.eventType);
+          });
+          return Q.all(['error', 'request', 'newListener'].map(function(type) {
+            return send('GET', '/?CaseNumber=1&EventType=' + type +
+              '&secret=s3cret');
+          }));
+        })
+        .then(function(statuses) {
+          expect(statuses).to.eql([200, 200, 200]);
+          expect(types.sort()).to.eql(['error', 'newListener', 'request']);
+        });
+    });
+
+    it('should not emit errors named by requests as middleware', function() {
+      var middleware = fogbugz.createTriggerMiddleware();
+      var res = {writeHead: sandbox.spy(), end: sandbox.spy()};
+      expect(function() {
+        middleware({method: 'GET', url: '/?CaseNumber=1&EventType=error'},
+          res);
+      }).not.to.throw();
+      expect(res.writeHead).to.have.been.calledWith(200);
     });
   });
 
@@ -218,12 +2862,69 @@ describe('fogbugz', function() {
         }
       });
 
-      fogbugz.__set__('request', sandbox.spy(function(url, cb) {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
         cb(null, null, xml);
       }));
 
       return expect(fogbugz.search('16227',
         ['sFooBar'])).to.eventually.eql(kase);
     });
+
+    it('should coerce columns and give them friendly names', function() {
+      var xml = '<response><cases count="1"><case ixBug="16006" ' +
+        'operations="edit"><sTitle><![CDATA[foo]]></sTitle>' +
+        '<ixPriority>3</ixPriority><fOpen>true</fOpen>' +
+        '<dtOpened>2015-05-06T22:47:59Z</dtOpened><dtClosed></dtClosed>' +
+        '<hrsCurrEst>2.5</hrsCurrEst><ixBugChildren>12,13</ixBugChildren>' +
+        '<tags><tag><![CDATA[ci]]></tag><tag><![CDATA[build]]></tag></tags>' +
+        '<plugin_foo_at_example_com_bar><![CDATA[ baz ]]>' +
+        '</plugin_foo_at_example_com_bar></case></cases></response>';
+
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, xml);
+      }));
+
+      return fogbugz.search('16006')
+        .then(function(kase) {
+          expect(kase.id).to.equal('16006');
+          expect(kase.title).to.equal('foo');
+          expect(kase.priorityId).to.equal(3);
+          expect(kase.open).to.be.true;
+          expect(kase.opened).to.eql(new Date(Date.UTC(2015, 4, 6, 22, 47,
+            59)));
+          expect(kase.closed).to.be.null;
+          expect(kase.currentEstimate).to.equal(2.5);
+          expect(kase.childIds).to.eql([12, 13]);
+          expect(kase.tags).to.equal('ci, build');
+          expect(kase.plugin_foo_at_example_com_bar).to.equal('baz');
+          expect(kase._raw.dtOpened).to.eql(['2015-05-06T22:47:59Z']);
+        });
+    });
+
+    it('should take a Query', function() {
+      var req = sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response><cases count="1"><case ixBug="7">' +
+          '</case></cases></response>');
+      });
+      fogbugz.__set__('request', req);
+
+      return fogbugz.search(fogbugz.query().assignedTo('Jane Doe')
+        .status('active'))
+        .then(function(kase) {
+          expect(kase.id).to.equal('7');
+          expect(req.firstCall.args[0].form.q)
+            .to.equal('assignedto:"Jane Doe" status:active');
+        });
+    });
+
+    it('should reject with a CaseNotFoundError if nothing matches', function() {
+      fogbugz.__set__('request', sandbox.spy(function(opts, cb) {
+        cb(null, null, '<response><cases count="0"></cases></response>');
+      }));
+
+      return expect(fogbugz.search('16227')).to.eventually.be
+        .rejectedWith(fogbugz.CaseNotFoundError,
+          fogbugz.MODULE_ERRORS.bugNotFound);
+    });
   });
 });
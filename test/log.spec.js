@@ -0,0 +1,55 @@
+'use strict';
+
+var log = require('../lib/log');
+
+describe('log', function() {
+  describe('redact()', function() {
+    it('should redact secrets in text', function() {
+      expect(log.redact('cmd=logon&email=a%40b.com&password=p%26ss'))
+        .to.equal('cmd=logon&email=a%40b.com&password=[redacted]');
+      expect(log.redact('https://x/default.asp?1&token=kakapo'))
+        .to.equal('https://x/default.asp?1&token=[redacted]');
+      expect(log.redact('<token><![CDATA[kakapo]]></token>'))
+        .to.equal('<token>[redacted]</token>');
+    });
+
+    it('should redact secret parameters', function() {
+      expect(log.redact({
+        token: 'kakapo',
+        password: 'secret',
+        q: 'tag:a',
+        File1: new Buffer('log')
+      })).to.eql({
+        token: '[redacted]',
+        password: '[redacted]',
+        q: 'tag:a',
+        File1: '[file]'
+      });
+    });
+  });
+
+  describe('enabled()', function() {
+    it('should match DEBUG patterns', function() {
+      expect(log.enabled('fogbugz', 'fogbugz')).to.be.true;
+      expect(log.enabled('fogbugz', 'express,fogbugz')).to.be.true;
+      expect(log.enabled('fogbugz', 'fog*')).to.be.true;
+      expect(log.enabled('fogbugz', '*,-fogbugz')).to.be.false;
+      expect(log.enabled('fogbugz', 'express')).to.be.false;
+      expect(log.enabled('fogbugz')).to.be.false;
+    });
+  });
+
+  describe('debug()', function() {
+    it('should write to stderr only if enabled', function() {
+      var write = sinon.stub(process.stderr, 'write');
+      try {
+        log.debug('fogbugz', {DEBUG: 'fogbugz'})('%s %d', 'search', 200);
+        log.debug('fogbugz', {})('nothing');
+      } finally {
+        write.restore();
+      }
+      expect(write).to.have.been.calledOnce
+        .and.calledWith('fogbugz search 200\n');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+var Query = require('../lib/query').Query;
+var quote = require('../lib/query').quote;
+
+describe('query', function() {
+  describe('quote()', function() {
+    it('should leave simple values bare', function() {
+      expect(quote('active')).to.equal('active');
+      expect(quote(42)).to.equal('42');
+      expect(quote('jane@example.com')).to.equal('jane@example.com');
+    });
+
+    it('should quote anything else', function() {
+      expect(quote('Jane Doe')).to.equal('"Jane Doe"');
+      expect(quote('a:b')).to.equal('"a:b"');
+      expect(quote('-7d..')).to.equal('"-7d.."');
+      expect(quote('OR')).to.equal('"OR"');
+      expect(quote('')).to.equal('""');
+    });
+
+    it('should format dates', function() {
+      expect(quote(new Date('2015-05-06T08:00:00Z')))
+        .to.equal('"2015-05-06"');
+    });
+
+    it('should refuse double quotes', function() {
+      expect(function() {
+        quote('say "hi"');
+      }).to.throw(/double quote/);
+    });
+  });
+
+  describe('Query', function() {
+    it('should build a query of terms', function() {
+      expect(new Query()
+        .assignedTo('Jane Doe')
+        .status('active')
+        .project('Web')
+        .openedWithin('7d')
+        .tag('regression')
+        .toString())
+        .to.equal('assignedto:"Jane Doe" status:active project:Web ' +
+          'opened:"-7d.." tag:regression');
+    });
+
+    it('should be immutable', function() {
+      var base = new Query().project('Web');
+      base.status('active');
+      expect(base.toString()).to.equal('project:Web');
+    });
+
+    it('should support ranges', function() {
+      expect(new Query()
+        .between('ixBug', 100, 200)
+        .openedBetween(new Date('2015-01-01T00:00:00Z'))
+        .dueBetween(null, '2015-12-31')
+        .within('edited', 3)
+        .toString())
+        .to.equal('ixBug:100..200 opened:"2015-01-01.." due:"..2015-12-31" ' +
+          'edited:"-3d.."');
+    });
+
+    it('should support OR', function() {
+      var q = new Query();
+      expect(q.or(q.status('active'), q.tag('a').tag('b'), 'priority:1')
+        .toString())
+        .to.equal('(status:active OR (tag:a tag:b) OR priority:1)');
+      expect(q.status(['active', 'Resolved (Fixed)']).toString())
+        .to.equal('(status:active OR status:"Resolved (Fixed)")');
+      expect(q.or(q.tag('a')).toString()).to.equal('tag:a');
+    });
+
+    it('should support negation', function() {
+      var q = new Query();
+      expect(q.not(q.status('closed')).not(q.tag('a').tag('b'))
+        .not('area:x area:y').toString())
+        .to.equal('-status:closed -(tag:a tag:b) -(area:x area:y)');
+    });
+
+    it('should take IDs, text and raw terms', function() {
+      expect(new Query().ids([1, '2']).text('out of memory')
+        .raw('outline:5').toString())
+        .to.equal('ixBug:1,2 "out of memory" outline:5');
+      expect(function() {
+        new Query().ids(['x']);
+      }).to.throw(/not a case ID/);
+    });
+  });
+});
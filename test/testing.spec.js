@@ -0,0 +1,331 @@
+'use strict';
+
+var fs = require('fs');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash-node');
+var fogbugz = require('../index');
+var testing = require('../testing');
+var search = require('../lib/testing/search');
+
+describe('testing', function() {
+  var FIXTURES = {
+    users: [
+      {
+        ixPerson: 1,
+        sFullName: 'Jane Doe',
+        sEmail: 'jane@example.com',
+        password: 'secret'
+      },
+      {
+        ixPerson: 2,
+        sFullName: 'John Roe',
+        sEmail: 'john@example.com',
+        password: 'hunter2'
+      }
+    ],
+    filters: [
+      {sFilter: 'ez', name: 'My Cases', type: 'builtin'},
+      {sFilter: '7', name: 'Web', type: 'saved', query: 'project:Web'}
+    ],
+    cases: [
+      {
+        ixBug: 1,
+        sTitle: 'Login page is broken',
+        sProject: 'Web',
+        sPersonAssignedTo: 'Jane Doe',
+        tags: ['ui', 'regression']
+      },
+      {
+        ixBug: 2,
+        sTitle: 'Out of memory',
+        sProject: 'Server',
+        sPersonAssignedTo: 'John Roe',
+        sStatus: 'Resolved (Fixed)'
+      },
+      {
+        ixBug: 3,
+        sTitle: 'Old crash',
+        sProject: 'Server',
+        sStatus: 'Closed (Fixed)',
+        fOpen: false
+      }
+    ]
+  };
+  var COLS = ['sTitle', 'sStatus', 'sProject', 'tags', 'fOpen'];
+  var server;
+  var client;
+
+  before(function() {
+    server = testing.createServer({fixtures: FIXTURES});
+    return server.listen();
+  });
+
+  after(function() {
+    return server.close();
+  });
+
+  beforeEach(function() {
+    return server.reset()
+      .then(function() {
+        client = server.createClient();
+        return client.logon();
+      });
+  });
+
+  it('should log on', function() {
+    expect(client._token).to.be.a('string');
+    expect(server.requests[0]).to.eql({
+      cmd: 'logon',
+      email: 'jane@example.com',
+      password: 'secret'
+    });
+  });
+
+  it('should refuse wrong credentials', function() {
+    client = server.createClient({password: 'wrong'});
+    return expect(client.logon())
+      .to.be.rejectedWith(fogbugz.AuthenticationError);
+  });
+
+  it('should refuse commands without a valid token', function() {
+    return client.setToken('bogus')
+      .then(function() {
+        return expect(client._search('1', COLS, 1))
+          .to.be.rejectedWith(fogbugz.NotLoggedOnError);
+      });
+  });
+
+  it('should log off', function() {
+    var token = client._token;
+    return client.logoff()
+      .then(function() {
+        expect(server.requests.pop()).to.have.property('cmd', 'logoff');
+        return client.setToken(token);
+      })
+      .then(function() {
+        return expect(client._search('1', COLS, 1))
+          .to.be.rejectedWith(fogbugz.NotLoggedOnError);
+      });
+  });
+
+  it('should search cases', function() {
+    return client.search(fogbugz.query().project('Server'), COLS)
+      .then(function(cases) {
+        expect(cases.map(function(kase) {
+          return kase.id;
+        })).to.eql(['2', '3']);
+        expect(cases[0].title).to.equal('Out of memory');
+        expect(cases[0].operations).to.contain('reactivate');
+        expect(cases[1].open).to.be.false;
+      });
+  });
+
+  it('should send only the columns asked for', function() {
+    return client.getBug(1, ['sTitle', 'tags'])
+      .then(function(kase) {
+        expect(kase.title).to.equal('Login page is broken');
+        expect(kase.tags).to.equal('ui, regression');
+        expect(kase).not.to.have.property('project');
+      });
+  });
+
+  it('should answer code 5 if nothing matches', function() {
+    return expect(client.search('title:nonesuch', COLS))
+      .to.be.rejectedWith(fogbugz.CaseNotFoundError)
+      .then(function(err) {
+        expect(err.code).to.equal(5);
+      });
+  });
+
+  it('should search the current filter for an empty query', function() {
+    return client.listFilters()
+      .then(function(filters) {
+        expect(filters[0].current).to.be.true;
+        return client.setCurrentFilter(filters[1]);
+      })
+      .then(function() {
+        return client.search('', COLS);
+      })
+      .then(function(kase) {
+        expect(kase.id).to.equal('1');
+      });
+  });
+
+  it('should open cases', function() {
+    return client.newBug({title: 'New thing', tags: ['a', 'b']},
+      {cols: COLS})
+      .then(function(kase) {
+        expect(kase.id).to.equal('4');
+        expect(kase.title).to.equal('New thing');
+        expect(server.getCase(4).tags).to.eql(['a', 'b']);
+        expect(server.getEvents(4)[0].sVerb).to.equal('Opened');
+      });
+  });
+
+  it('should count attachments', function() {
+    return client.newBug({title: 'With a file'}, {
+      attachments: [{filename: 'log.txt', content: Buffer.from('hi')}]
+    })
+      .then(function() {
+        expect(server.getEvents(4)[0].attachments[0].sFileName)
+          .to.equal('log.txt');
+      });
+  });
+
+  it('should take any readable stream as an attachment', function() {
+    var PassThrough = require('stream').PassThrough;
+    var stream = new PassThrough();
+    var sent = client.newBug({title: 'Streamed'}, {
+      attachments: [{filename: 'build.log', content: stream}]
+    });
+    stream.end('npm ERR! foo');
+    return sent
+      .then(function(kase) {
+        expect(kase.id).to.equal('4');
+        expect(server.getEvents(4)[0].attachments[0].sFileName)
+          .to.equal('build.log');
+      });
+  });
+
+  it('should replay attachments given as streams', function() {
+    return client.setToken('stale')
+      .then(function() {
+        return client.newBug({title: 'Replayed'}, {
+          attachments: [{
+            filename: 'build.log',
+            content: require('fs').createReadStream(__filename)
+          }]
+        });
+      })
+      .then(function(kase) {
+        expect(kase.id).to.equal('4');
+        expect(_.pluck(server.requests, 'cmd'))
+          .to.eql(['logon', 'new', 'logon', 'new']);
+        expect(server.getEvents(4)[0].attachments[0].sFileName)
+          .to.equal('build.log');
+      });
+  });
+
+  it('should edit cases, and record events', function() {
+    return client.editBug(1, {title: 'Login is broken', event: 'Renamed'},
+      COLS.concat('events'))
+      .then(function(kase) {
+        var event = kase.events[kase.events.length - 1];
+        expect(kase.title).to.equal('Login is broken');
+        expect(event.verb).to.equal('Edited');
+        expect(event.text).to.equal('Renamed');
+        expect(event.changes[0]).to.match(/^sTitle changed/);
+      });
+  });
+
+  it('should resolve, close, reopen and reactivate cases', function() {
+    return client.resolveBug(1, {}, COLS)
+      .then(function(kase) {
+        expect(kase.status).to.equal('Resolved (Fixed)');
+        return client.closeBug(1, {}, COLS);
+      })
+      .then(function(kase) {
+        expect(kase.open).to.be.false;
+        expect(kase.operations).to.eql(['reopen', 'email', 'remind']);
+        return client.reopenBug(1, {}, COLS);
+      })
+      .then(function(kase) {
+        expect(kase.status).to.equal('Active');
+        return client.assignBug(1, {ixPersonAssignedTo: 2}, COLS);
+      })
+      .then(function() {
+        expect(server.getCase(1).sPersonAssignedTo).to.equal('John Roe');
+      });
+  });
+
+  it('should refuse operations a case does not permit', function() {
+    return expect(client.closeBug(1, {}, COLS))
+      .to.be.rejectedWith(fogbugz.OperationNotPermittedError);
+  });
+
+  it('should answer code 5 for unknown cases', function() {
+    return expect(client.editBug(99, {title: 'x'}, COLS))
+      .to.be.rejectedWith(fogbugz.CaseNotFoundError);
+  });
+
+  it('should load fixtures from a file', function() {
+    var file = path.join(os.tmpdir(),
+      'fogbugz-fixtures-' + process.pid + '.json');
+    var other;
+    fs.writeFileSync(file, JSON.stringify({
+      users: FIXTURES.users,
+      cases: [{ixBug: 42, sTitle: 'From a file', sProject: 'Web'}]
+    }));
+    other = testing.createServer({fixtures: file});
+    return other.listen()
+      .then(function() {
+        var otherClient = other.createClient();
+        return otherClient.logon()
+          .then(function() {
+            return otherClient.search('project:Web', COLS);
+          });
+      })
+      .then(function(kase) {
+        expect(kase.id).to.equal('42');
+        expect(kase.title).to.equal('From a file');
+      })
+      .fin(function() {
+        fs.unlinkSync(file);
+        return other.close();
+      });
+  });
+
+  it('should fail to load a missing fixtures file', function() {
+    var other = testing.createServer({
+      fixtures: path.join(__dirname, 'nonesuch.json')
+    });
+    return expect(other.reset()).to.be.rejectedWith(/ENOENT/);
+  });
+
+  it('should publish api.xml', function() {
+    return client.discover()
+      .then(function(api) {
+        expect(api.version).to.equal(fogbugz.API_VERSION);
+        expect(api.url).to.equal('http://' + server.host + '/api.asp');
+      });
+  });
+
+  it('should only serve api.asp', function(done) {
+    http.get('http://' + server.host + '/default.asp', function(res) {
+      expect(res.statusCode).to.equal(404);
+      res.resume();
+      done();
+    });
+  });
+
+  describe('search', function() {
+    var cases = FIXTURES.cases;
+
+    function matching(query) {
+      return cases.filter(search.compile(query)).map(function(kase) {
+        return kase.ixBug;
+      });
+    }
+
+    it('should match IDs and text', function() {
+      expect(matching('1,3')).to.eql([1, 3]);
+      expect(matching('ixBug:2..3')).to.eql([2, 3]);
+      expect(matching('"out of"')).to.eql([2]);
+    });
+
+    it('should match axes', function() {
+      expect(matching('status:resolved')).to.eql([2]);
+      expect(matching('assignedto:"Jane Doe"')).to.eql([1]);
+      expect(matching('tag:UI')).to.eql([1]);
+    });
+
+    it('should support OR, negation and grouping', function() {
+      expect(matching('project:Web OR status:closed')).to.eql([1, 3]);
+      expect(matching('-project:Web')).to.eql([2, 3]);
+      expect(matching('project:Server -(status:closed OR title:memory)'))
+        .to.eql([]);
+    });
+  });
+});
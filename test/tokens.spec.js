@@ -0,0 +1,115 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Q = require('q');
+var tokens = require('../lib/tokens');
+
+describe('tokens', function() {
+  describe('keyOf()', function() {
+    it('should key tokens by user and host', function() {
+      expect(tokens.keyOf({host: 'zzz.fogbugz.com', username: 'me@zzz.com'}))
+        .to.equal('me@zzz.com@zzz.fogbugz.com');
+      expect(tokens.keyOf({
+        host: 'fogbugz.example.com',
+        port: 8443,
+        basePath: '/fogbugz',
+        username: 'me@zzz.com'
+      })).to.equal('me@zzz.com@fogbugz.example.com:8443/fogbugz');
+    });
+  });
+
+  describe('FileTokenStore', function() {
+    var file = path.join(require('os').tmpdir(),
+      'fogbugz-tokens-' + process.pid + '.json');
+    var store;
+
+    beforeEach(function() {
+      store = new tokens.FileTokenStore(file);
+    });
+
+    afterEach(function(done) {
+      fs.unlink(file, function() {
+        // there may have been none
+        done();
+      });
+    });
+
+    it('should have no token at first', function() {
+      return expect(store.get('a')).to.eventually.be.null;
+    });
+
+    it('should keep tokens by key', function() {
+      return Q.all([store.set('a', 'one'), store.set('b', 'two')])
+        .then(function() {
+          return Q.all([
+            new tokens.FileTokenStore(file).get('a'),
+            store.get('b')
+          ]);
+        })
+        .then(function(found) {
+          expect(found).to.eql(['one', 'two']);
+          return store.delete('a');
+        })
+        .then(function() {
+          return Q.nfcall(fs.readFile, file, 'utf8');
+        })
+        .then(function(json) {
+          expect(JSON.parse(json)).to.eql({b: 'two'});
+        });
+    });
+
+    it('should only let its owner read the file', function() {
+      return Q.nfcall(fs.writeFile, file, '{}', {mode: 420})
+        .then(function() {
+          return store.set('a', 'one');
+        })
+        .then(function() {
+          return Q.nfcall(fs.stat, file);
+        })
+        .then(function(stats) {
+          if (process.platform !== 'win32') {
+            expect(stats.mode.toString(8).slice(-3)).to.equal('600');
+          }
+        });
+    });
+
+    it('should start afresh if the file is empty or corrupt', function() {
+      return Q.nfcall(fs.writeFile, file, '{"a": "one"')
+        .then(function() {
+          return store.get('a');
+        })
+        .then(function(token) {
+          expect(token).to.be.null;
+          return store.set('b', 'two');
+        })
+        .then(function() {
+          return Q.nfcall(fs.writeFile, file, '');
+        })
+        .then(function() {
+          return store.set('c', 'three');
+        })
+        .then(function() {
+          return Q.nfcall(fs.readFile, file, 'utf8');
+        })
+        .then(function(json) {
+          expect(JSON.parse(json)).to.eql({c: 'three'});
+        });
+    });
+
+    it('should not leave its temporary file behind', function() {
+      return store.set('a', 'one')
+        .then(function() {
+          expect(fs.existsSync(file + '.' + process.pid + '.tmp')).to.be
+            .false;
+        });
+    });
+
+    it('should default to a file in the home directory', function() {
+      expect(new tokens.FileTokenStore().file)
+        .to.match(/\.fogbugz-token\.json$/);
+      expect(new tokens.FileTokenStore(null, path.join('home', 'me')).file)
+        .to.equal(path.join('home', 'me', '.fogbugz-token.json'));
+    });
+  });
+});
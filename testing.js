@@ -0,0 +1,7 @@
+'use strict';
+
+/**
+ * @module fogbugz/testing
+ * @overview Entry point of `require('fogbugz/testing')`; see lib/testing.
+ */
+module.exports = require('./lib/testing');